@@ -2,7 +2,7 @@
  * Memory Manager v5.0 — PageIndex + Embedding + MemGPT Agent
  *
  * Three-layer memory system with semantic retrieval:
- *   Layer 1: Story Index (always injected, compact ~400-600 tokens, bounded)
+ *   Layer 1: Story Index (always injected, compact, bounded by the injection token budget)
  *   Layer 2: Story Pages (retrieved on demand via embedding + agent)
  *   Layer 3: Character Dossiers (retrieved on demand)
  *
@@ -41,6 +41,10 @@ import {
     getSortedEntries,
 } from '../../../world-info.js';
 
+import {
+    getTokenCountAsync,
+} from '../../../tokenizers.js';
+
 // ============================================================
 //  Constants
 // ============================================================
@@ -49,7 +53,21 @@ const MODULE_NAME = 'memory_manager';
 const LOG_PREFIX = '[MemMgr]';
 const PROMPT_KEY_INDEX = 'mm_story_index';
 const PROMPT_KEY_PAGES = 'mm_recalled_pages';
-const DATA_VERSION = 4;
+const PROMPT_KEY_DOSSIERS = 'mm_character_dossiers';
+const DATA_VERSION = 6;
+
+// Extraction journal (rollback on message delete/edit/swipe)
+const MAX_JOURNAL_ENTRIES = 20;
+// Collections an extraction run may change, and how their entries are identified across runs
+const journalNameKey = e => String(e.name || '').toLowerCase();
+const JOURNAL_TRACKED_KEYS = {
+    timeline: e => e.id || `${formatEntryDay(e)}\u0000${e.text}`,
+    knownCharacterAttitudes: journalNameKey,
+    characters: journalNameKey,
+    items: journalNameKey,
+    threads: e => e.id,
+    relationships: e => e.id,
+};
 
 // Compression level constants
 const COMPRESS_FRESH = 0;      // Full detail, 100-300 chars
@@ -69,6 +87,101 @@ const MEMORY_CATEGORIES = {
 };
 const VALID_CATEGORIES = new Set(Object.keys(MEMORY_CATEGORIES));
 
+// NPC dossier fields merged field-by-field on extraction
+const NPC_FIELDS = ['appearance', 'personality', 'attitude'];
+const NPC_FIELD_LABELS = {
+    appearance: '外貌',
+    personality: '性格',
+    attitude: '态度',
+    aliases: '别名',
+    retired: '退场',
+};
+const MAX_NPC_CHANGELOG = 30;
+const MAX_ATTITUDE_HISTORY = 30;
+
+// Open threads (promises, foreshadowing, unresolved conflicts, mysteries)
+const THREAD_KINDS = {
+    promise:        '承诺',
+    foreshadowing:  '伏笔',
+    conflict:       '冲突',
+    mystery:        '谜团',
+};
+const THREAD_STATUSES = {
+    open:     '未解决',
+    resolved: '已解决',
+    broken:   '已违背',
+};
+const MAX_INDEX_THREADS = 12;
+
+// World state: scalar fields are replaced when extraction reports them, list fields replaced as a whole
+const WORLD_STATE_TEXT_FIELDS = ['location', 'timeOfDay', 'weather'];
+const WORLD_STATE_LIST_FIELDS = ['present', 'conditions'];
+
+// Job queue (extraction / compression / embedding run one at a time under a processing lock)
+const JOB_LOCK_STALE_MS = 2 * 60 * 1000;    // a lock without heartbeat for this long is taken over
+const JOB_HEARTBEAT_MS = 15 * 1000;
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_BACKOFF_BASE_MS = 5 * 1000;       // 5s, 10s, 20s, 40s ...
+const JOB_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const JOB_DEFER_MS = 2000;                  // re-check interval while the main generation is running
+const JOB_LABELS = {
+    extract:  '记忆提取',
+    compress: '压缩',
+    embed:    '向量生成',
+    merge:    '合并故事页',
+};
+
+// Batch initialization
+const INIT_MAX_CONSECUTIVE_FAILURES = 3;    // pause (resumable) instead of skipping the rest of the chat
+
+// Injection token budget: fill order when the budget is tight (earlier = kept first)
+const INJECTION_PRIORITY = ['worldState', 'attitudes', 'threads', 'pages', 'timeline', 'dossiers', 'items', 'npcs'];
+const INJECTION_SECTION_LABELS = {
+    worldState: '当前状态',
+    attitudes:  '态度',
+    threads:    '线索',
+    pages:      '故事页',
+    timeline:   '时间线',
+    dossiers:   '档案',
+    items:      '物品',
+    npcs:       'NPC',
+};
+
+// Hybrid retrieval: BM25 over title/content/keywords, fused with embedding ranks (RRF)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_FIELD_WEIGHTS = { keywords: 3, characters: 2, title: 2, content: 1 };
+const RRF_K = 60;
+const HYBRID_RANK_DEPTH = 50;   // ranks beyond this add nothing to the fused score
+
+// Words that carry no retrieval signal (function words, pronouns, filler verbs).
+// Lone hiragana (particles, okurigana) are dropped separately.
+const STOP_WORDS = new Set([
+    // zh
+    '的', '了', '着', '过', '是', '在', '和', '与', '或', '也', '都', '就', '还', '又', '才', '很', '太', '更',
+    '吗', '呢', '吧', '啊', '呀', '哦', '嗯', '哈', '嘛', '啦', '么', '把', '被', '给', '让', '对', '向', '从',
+    '我', '你', '他', '她', '它', '您', '们', '这', '那', '哪', '个', '些', '地', '得', '之', '而', '不', '没',
+    '我们', '你们', '他们', '她们', '它们', '咱们', '自己', '这个', '那个', '这些', '那些', '这样', '那样', '这里', '那里',
+    '什么', '怎么', '怎样', '为什么', '如何', '哪里', '一个', '一些', '一下', '一点', '有点', '没有', '不是', '就是', '还是',
+    '可以', '可能', '应该', '已经', '因为', '所以', '但是', '可是', '不过', '然后', '如果', '虽然', '只是', '现在', '知道',
+    '觉得', '时候', '东西', '事情', '真的', '好像', '然而', '于是', '而且', '并且', '还有', '一样', '起来', '出来', '下来',
+    // ja
+    'です', 'ます', 'でした', 'ました', 'する', 'した', 'して', 'いる', 'いた', 'ある', 'あった', 'ない', 'なかった',
+    'こと', 'もの', 'これ', 'それ', 'あれ', 'この', 'その', 'あの', 'ここ', 'そこ', 'あそこ', 'から', 'まで', 'より',
+    'けど', 'けれど', 'ので', 'のに', 'たち', 'よう', 'そう', 'どう', 'なに', 'なん', '私', '僕', '俺', 'あなた', '君',
+    // en
+    'the', 'an', 'and', 'or', 'but', 'if', 'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'to', 'of', 'in',
+    'on', 'at', 'for', 'with', 'by', 'from', 'as', 'it', 'its', 'this', 'that', 'these', 'those', 'there', 'here',
+    'he', 'she', 'we', 'they', 'you', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'our', 'their',
+    'do', 'does', 'did', 'done', 'have', 'has', 'had', 'not', 'no', 'so', 'just', 'then', 'than', 'too', 'very',
+    'what', 'who', 'how', 'why', 'when', 'where', 'which', 'can', 'could', 'will', 'would', 'should', 'up', 'out',
+]);
+
+// Relationship graph view (settings panel)
+const REL_GRAPH_SIZE = 320;
+// Edges sent to the extraction prompt: those between characters the batch mentions, newest first
+const MAX_PROMPT_RELATIONSHIPS = 30;
+
 // Category color mapping (for UI)
 const CATEGORY_COLORS = {
     emotional:      '#ec4899',
@@ -102,10 +215,28 @@ let moodResetTimer = null;
 const DEFAULT_SETTINGS = {
     enabled: true,
     debug: false,
+    language: 'zh',                  // Language pack for prompts and injected text (see LANG_PACKS)
+    timeModel: 'day',                // Story-time labels: 'day' | 'date' | 'chapter' | 'custom' (see TIME_MODELS)
+    customTimeFormat: '{year}年{month}月{day}日',   // Custom calendar label, {year} {month} {day} placeholders
+    customTimeMonths: '',            // Custom calendar month names in order (comma-separated), empty = numbers
     extractionInterval: 5,
     extractionMaxTokens: 4096,
+    rollbackOnMessageChange: true,   // Undo extraction runs whose source messages were deleted/edited/swiped
+    extractionRepairAttempts: 2,     // Follow-up turns asking the LLM to fix invalid extraction JSON
+    initBatchTokens: 6000,           // Token budget for the chat / world book text of one init batch
+    initChunkOverlap: 2,             // Messages repeated from the previous init batch as context
+    // Injection placement per block: position 'before_prompt' | 'in_prompt' | 'in_chat' (depth only applies in-chat),
+    // role 'system' | 'user' | 'assistant'
+    indexPosition: 'in_chat',
     indexDepth: 9999,
+    indexRole: 'system',
+    recallPosition: 'in_prompt',
     recallDepth: 2,
+    recallRole: 'system',
+    dossierPosition: 'in_prompt',
+    dossierDepth: 2,
+    dossierRole: 'system',
+    injectionTokenBudget: 1500,      // Max tokens for index + recalled pages + dossiers per generation (0 = unlimited)
     maxPages: 3,
     showRecallBadges: true,
     // Compression
@@ -122,8 +253,15 @@ const DEFAULT_SETTINGS = {
     secondaryApiKey: '',
     secondaryApiModel: '',
     secondaryApiTemperature: 0.3,
+    useStructuredOutput: false,      // Send extraction schemas as json_schema (auto-fallback if unsupported)
+    initParallelism: 1,              // Chat batches extracted at once during initialization (> 1 = map-reduce, secondary API only)
     // Known characters (from char card / world info, only track attitude, no full dossier)
     knownCharacters: '',
+    // NPC dossier update mode: 'merge' (incremental, never drops NPCs) | 'replace' (legacy)
+    npcMergeMode: 'merge',
+    // Duplicate page handling after extraction: 'off' | 'llm' (merge automatically) | 'ask' (review queue in the page browser)
+    pageDedupeMode: 'llm',
+    pageDedupeThreshold: 0.88,  // Embedding cosine; keyword/title overlap uses DEDUPE_OVERLAP_THRESHOLD
     // === v5 additions ===
     // Independent save system
     autoSaveSlot: true,
@@ -134,6 +272,8 @@ const DEFAULT_SETTINGS = {
     embeddingTopK: 10,
     embeddingApiUrl: '',        // Empty = reuse secondaryApiUrl
     embeddingApiKey: '',        // Empty = reuse secondaryApiKey
+    // Prompt template overrides per language: { [language]: { [templateName]: { text, version } } }. Missing = built-in default
+    promptTemplates: {},
 };
 
 // ============================================================
@@ -158,6 +298,18 @@ function generateId(prefix = 'pg') {
     return prefix + '_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6);
 }
 
+/**
+ * Short, stable fingerprint of a string (FNV-1a, base36).
+ */
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
 // ============================================================
 //  Lottie Mood System
 // ============================================================
@@ -219,29 +371,30 @@ function toggleEmbeddingFields(show) {
     $('#mm_embedding_fields').toggle(show);
 }
 
+function toggleCustomTimeFields(show) {
+    $('#mm_custom_time_fields').toggle(show);
+}
+
 // ============================================================
 //  Lore Context (仅世界书，不含角色卡)
 // ============================================================
 
-async function gatherWorldBookContext() {
+/**
+ * Active world book entries grouped by injection position, in prompt order.
+ * @returns {Promise<Array<{ label: string, entries: string[] }>>}
+ */
+async function gatherWorldBookGroups() {
     // 只读取世界书条目（角色卡是角色设定，不是剧情记忆）
     try {
         const entries = await getSortedEntries();
         const activeEntries = entries?.filter(e => !e.disable && e.content?.trim());
-        if (!activeEntries || activeEntries.length === 0) return '';
+        if (!activeEntries || activeEntries.length === 0) return [];
 
         // 按 position 分组，还原酒馆实际注入 prompt 时的区块顺序
         // position: 0=↑Char(角色定义前), 1=↓Char(角色定义后),
         //           2=↑AT, 3=↓AT, 4=@D(指定深度), 5=↑EM, 6=↓EM
-        const positionLabels = {
-            0: '角色定义前 (↑Char)',
-            1: '角色定义后 (↓Char)',
-            2: '作者注释顶部 (↑AT)',
-            3: '作者注释底部 (↓AT)',
-            4: '指定深度 (@D)',
-            5: '扩展提示顶部 (↑EM)',
-            6: '扩展提示底部 (↓EM)',
-        };
+        const loreLabels = getLangPack().lore;
+        const positionLabels = loreLabels.positions;
         // 注入到 prompt 的实际顺序: 先角色定义前，再角色定义后，再其他
         const positionOrder = [0, 1, 2, 3, 4, 5, 6];
 
@@ -252,25 +405,27 @@ async function gatherWorldBookContext() {
             groups.get(pos).push(entry);
         }
 
-        const parts = [];
+        const result = [];
         for (const pos of positionOrder) {
             const group = groups.get(pos);
             if (!group || group.length === 0) continue;
 
-            const label = positionLabels[pos] || `位置 ${pos}`;
-            parts.push(`=== ${label} ===`);
+            const label = positionLabels[pos] || loreLabels.position(pos);
             // 组内按 order 升序（order小的在上面，和 prompt 中的实际位置一致）
             group.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
-            for (const entry of group) {
-                const name = entry.comment || (entry.key || []).join('/') || '(无标题)';
-                parts.push(`【${name}】${entry.content}`);
-            }
+            result.push({
+                label: `=== ${label} ===`,
+                entries: group.map(entry => {
+                    const name = entry.comment || (entry.key || []).join('/') || loreLabels.untitled;
+                    return `【${name}】${entry.content}`;
+                }),
+            });
         }
 
-        return parts.join('\n');
+        return result;
     } catch (err) {
         warn('Failed to load world info:', err);
-        return '';
+        return [];
     }
 }
 
@@ -278,34 +433,93 @@ async function gatherWorldBookContext() {
 //  Secondary API (副API) — OpenAI-compatible
 // ============================================================
 
-async function callLLM(systemPrompt, userPrompt, maxTokens = null) {
+function buildChatMessages(systemPrompt, userPrompt) {
+    const messages = [];
+    if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: userPrompt });
+    return messages;
+}
+
+function isSecondaryApiConfigured() {
     const s = getSettings();
+    return !!(s.useSecondaryApi && s.secondaryApiUrl && s.secondaryApiKey);
+}
 
-    if (s.useSecondaryApi && s.secondaryApiUrl && s.secondaryApiKey) {
-        return await callSecondaryApi(systemPrompt, userPrompt, maxTokens);
+async function callLLM(systemPrompt, userPrompt, maxTokens = null, options = {}) {
+    return await callLLMMessages(buildChatMessages(systemPrompt, userPrompt), maxTokens, options);
+}
+
+/**
+ * Multi-turn variant of callLLM ([{ role, content }]).
+ * Quiet prompts on the main API take a single text, so turns are flattened there.
+ * options.jsonSchema ({ name, value, strict }) is only honoured by the secondary API.
+ * options.signal (AbortSignal) cancels the request.
+ */
+async function callLLMMessages(messages, maxTokens = null, options = {}) {
+    const s = getSettings();
+    options.signal?.throwIfAborted();
+
+    if (isSecondaryApiConfigured()) {
+        return await callSecondaryApiMessages(messages, maxTokens, options);
     }
 
     // Fallback: use main API
     log('Using main API (no secondary API configured)');
-    const fullPrompt = systemPrompt
-        ? `${systemPrompt}\n\n${userPrompt}`
-        : userPrompt;
-    return await generateQuietPrompt(fullPrompt, false, true, null, null, maxTokens || s.extractionMaxTokens);
+    const fullPrompt = messages.map(m => m.content).join('\n\n');
+    return await rejectOnAbort(
+        generateQuietPrompt(fullPrompt, false, true, null, null, maxTokens || s.extractionMaxTokens),
+        options.signal,
+    );
+}
+
+/**
+ * Reject as soon as `signal` aborts. Quiet prompts on the main API can't be cancelled
+ * themselves, so their late result is simply dropped.
+ */
+function rejectOnAbort(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
 }
 
 async function callSecondaryApi(systemPrompt, userPrompt, maxTokens) {
+    return await callSecondaryApiMessages(buildChatMessages(systemPrompt, userPrompt), maxTokens);
+}
+
+// Per endpoint+model: true = json_schema accepted, false = rejected (text parsing only)
+const structuredOutputSupport = new Map();
+
+/**
+ * Whether an error response looks like the endpoint refusing response_format / json_schema.
+ * Decided on the error text alone: a bare 400/422 may be a bad key, model name or context overflow.
+ */
+function isStructuredOutputRejection(errText) {
+    return /response_format|json_schema|structured output/i.test(errText || '');
+}
+
+async function callSecondaryApiMessages(messages, maxTokens, options = {}) {
     const s = getSettings();
     const baseUrl = s.secondaryApiUrl
         .replace(/\/+$/, '')
         .replace(/\/chat\/completions\/?$/, '');
 
-    const messages = [];
-    if (systemPrompt) {
-        messages.push({ role: 'system', content: systemPrompt });
-    }
-    messages.push({ role: 'user', content: userPrompt });
+    const supportKey = `${baseUrl}|${s.secondaryApiModel}`;
+    const jsonSchema = s.useStructuredOutput && options.jsonSchema && structuredOutputSupport.get(supportKey) !== false
+        ? options.jsonSchema
+        : undefined;
+    const fallBackToText = (reason) => {
+        warn('Endpoint does not support json_schema, falling back to text parsing:', reason);
+        structuredOutputSupport.set(supportKey, false);
+        toastr?.info?.('副API不支持结构化输出，已回退到文本解析', 'Memory Manager');
+        return callSecondaryApiMessages(messages, maxTokens, options);
+    };
 
-    log('Calling secondary API via server proxy:', baseUrl, 'model:', s.secondaryApiModel);
+    log('Calling secondary API via server proxy:', baseUrl, 'model:', s.secondaryApiModel, jsonSchema ? '(json_schema)' : '');
 
     const response = await fetch('/api/backends/chat-completions/generate', {
         method: 'POST',
@@ -319,11 +533,17 @@ async function callSecondaryApi(systemPrompt, userPrompt, maxTokens) {
             temperature: s.secondaryApiTemperature ?? 0.3,
             max_tokens: (maxTokens && maxTokens > 0) ? maxTokens : undefined,
             stream: false,
+            // ST forwards this to OpenAI-compatible endpoints as response_format: { type: 'json_schema' }
+            json_schema: jsonSchema,
         }),
+        signal: options.signal,
     });
 
     if (!response.ok) {
         const errText = await response.text().catch(() => '');
+        if (jsonSchema && isStructuredOutputRejection(errText)) {
+            return await fallBackToText(`${response.status} ${errText.substring(0, 200)}`);
+        }
         throw new Error(`Secondary API error ${response.status}: ${errText.substring(0, 200)}`);
     }
 
@@ -339,6 +559,13 @@ async function callSecondaryApi(systemPrompt, userPrompt, maxTokens) {
     let content = data.choices?.[0]?.message?.content;
     if (!content && typeof data === 'string') content = data;
 
+    if (jsonSchema) {
+        if (!content && data.error) {
+            return await fallBackToText(JSON.stringify(data.error).substring(0, 200));
+        }
+        structuredOutputSupport.set(supportKey, true);
+    }
+
     if (!content) {
         warn('Secondary API response structure:', JSON.stringify(data).substring(0, 500));
         throw new Error('Secondary API returned empty response');
@@ -461,11 +688,30 @@ function loadSettings() {
 
     $('#mm_enabled').prop('checked', s.enabled);
     $('#mm_debug').prop('checked', s.debug);
+    $('#mm_language').val(s.language);
+    $('#mm_time_model').val(s.timeModel);
+    $('#mm_custom_time_format').val(s.customTimeFormat);
+    $('#mm_custom_time_months').val(s.customTimeMonths);
+    toggleCustomTimeFields(s.timeModel === 'custom');
     $('#mm_extraction_interval').val(s.extractionInterval);
     $('#mm_extraction_interval_value').text(s.extractionInterval);
     $('#mm_extraction_max_tokens').val(s.extractionMaxTokens);
+    $('#mm_rollback_on_change').prop('checked', s.rollbackOnMessageChange);
+    $('#mm_extraction_repair_attempts').val(s.extractionRepairAttempts);
+    $('#mm_init_batch_tokens').val(s.initBatchTokens);
+    $('#mm_init_chunk_overlap').val(s.initChunkOverlap);
+    $('#mm_page_dedupe_mode').val(s.pageDedupeMode);
+    $('#mm_page_dedupe_threshold').val(s.pageDedupeThreshold);
+    $('#mm_index_position').val(s.indexPosition);
     $('#mm_index_depth').val(s.indexDepth);
+    $('#mm_index_role').val(s.indexRole);
+    $('#mm_recall_position').val(s.recallPosition);
     $('#mm_recall_depth').val(s.recallDepth);
+    $('#mm_recall_role').val(s.recallRole);
+    $('#mm_dossier_position').val(s.dossierPosition);
+    $('#mm_dossier_depth').val(s.dossierDepth);
+    $('#mm_dossier_role').val(s.dossierRole);
+    $('#mm_injection_token_budget').val(s.injectionTokenBudget);
     $('#mm_max_pages').val(s.maxPages);
     $('#mm_max_pages_value').text(s.maxPages);
     $('#mm_show_recall_badges').prop('checked', s.showRecallBadges);
@@ -484,10 +730,13 @@ function loadSettings() {
     $('#mm_secondary_api_key').val(s.secondaryApiKey);
     $('#mm_secondary_api_model').val(s.secondaryApiModel);
     $('#mm_secondary_api_temperature').val(s.secondaryApiTemperature);
+    $('#mm_use_structured_output').prop('checked', s.useStructuredOutput);
+    $('#mm_init_parallelism').val(s.initParallelism);
     toggleSecondaryApiFields(s.useSecondaryApi);
 
     // Known characters
     $('#mm_known_characters').val(s.knownCharacters);
+    $('#mm_npc_merge_mode').val(s.npcMergeMode);
 
     // Save management
     $('#mm_auto_save_slot').prop('checked', s.autoSaveSlot);
@@ -503,6 +752,10 @@ function loadSettings() {
     $('#mm_embedding_api_key').val(s.embeddingApiKey);
     toggleEmbeddingFields(s.useEmbedding);
 
+    // Prompt templates
+    checkPromptTemplateOverrides();
+    refreshPromptTemplateEditor();
+
     // Update slot display
     refreshSlotListUI();
 }
@@ -532,14 +785,59 @@ function getKnownCharacterNames() {
 function bindSettingsPanel() {
     $('#mm_enabled').on('change', function () { saveSetting('enabled', this.checked); });
     $('#mm_debug').on('change', function () { saveSetting('debug', this.checked); });
+    $('#mm_language').on('change', function () {
+        saveSetting('language', this.value);
+        checkPromptTemplateOverrides();
+        refreshPromptTemplateEditor();
+    });
+    $('#mm_time_model').on('change', function () {
+        // Existing labels are not converted: say how many the new model won't read before switching
+        const s = getSettings();
+        const next = this.value === 'custom'
+            ? buildCustomTimeModel(s.customTimeFormat, s.customTimeMonths)
+            : TIME_MODELS[this.value] || TIME_MODELS.day;
+        const unreadable = findUnreadableTimeLabels(getMemoryData(), next);
+        if (unreadable.length > 0 && !confirm(
+            `当前聊天有 ${unreadable.length} 个时间标签（如 ${unreadable.slice(0, 3).join('、')}）不符合新的时间格式。\n`
+            + '切换后这些标签不会被转换，将排在时间线最前，也不参与按时间的排序和计算。是否继续切换？',
+        )) {
+            this.value = s.timeModel;
+            return;
+        }
+        saveSetting('timeModel', this.value);
+        toggleCustomTimeFields(this.value === 'custom');
+        updateBrowserUI();
+    });
+    $('#mm_custom_time_format').on('change', function () {
+        saveSetting('customTimeFormat', this.value.trim());
+        updateBrowserUI();
+    });
+    $('#mm_custom_time_months').on('change', function () {
+        saveSetting('customTimeMonths', this.value.trim());
+        updateBrowserUI();
+    });
     $('#mm_extraction_interval').on('input', function () {
         const v = Number(this.value);
         $('#mm_extraction_interval_value').text(v);
         saveSetting('extractionInterval', v);
     });
     $('#mm_extraction_max_tokens').on('change', function () { saveSetting('extractionMaxTokens', Number(this.value)); });
+    $('#mm_rollback_on_change').on('change', function () { saveSetting('rollbackOnMessageChange', this.checked); });
+    $('#mm_extraction_repair_attempts').on('change', function () { saveSetting('extractionRepairAttempts', Number(this.value)); });
+    $('#mm_init_batch_tokens').on('change', function () { saveSetting('initBatchTokens', Math.max(500, Number(this.value) || 6000)); });
+    $('#mm_init_chunk_overlap').on('change', function () { saveSetting('initChunkOverlap', Math.max(0, Number(this.value) || 0)); });
+    $('#mm_page_dedupe_mode').on('change', function () { saveSetting('pageDedupeMode', this.value); });
+    $('#mm_page_dedupe_threshold').on('change', function () { saveSetting('pageDedupeThreshold', Number(this.value)); });
+    $('#mm_index_position').on('change', function () { saveSetting('indexPosition', this.value); });
     $('#mm_index_depth').on('change', function () { saveSetting('indexDepth', Number(this.value)); });
+    $('#mm_index_role').on('change', function () { saveSetting('indexRole', this.value); });
+    $('#mm_recall_position').on('change', function () { saveSetting('recallPosition', this.value); });
     $('#mm_recall_depth').on('change', function () { saveSetting('recallDepth', Number(this.value)); });
+    $('#mm_recall_role').on('change', function () { saveSetting('recallRole', this.value); });
+    $('#mm_dossier_position').on('change', function () { saveSetting('dossierPosition', this.value); });
+    $('#mm_dossier_depth').on('change', function () { saveSetting('dossierDepth', Number(this.value)); });
+    $('#mm_dossier_role').on('change', function () { saveSetting('dossierRole', this.value); });
+    $('#mm_injection_token_budget').on('change', function () { saveSetting('injectionTokenBudget', Math.max(0, Number(this.value) || 0)); });
     $('#mm_max_pages').on('input', function () {
         const v = Number(this.value);
         $('#mm_max_pages_value').text(v);
@@ -548,6 +846,7 @@ function bindSettingsPanel() {
     $('#mm_show_recall_badges').on('change', function () { saveSetting('showRecallBadges', this.checked); });
     $('#mm_auto_compress').on('change', function () { saveSetting('autoCompress', this.checked); });
     $('#mm_known_characters').on('change', function () { saveSetting('knownCharacters', this.value.trim()); });
+    $('#mm_npc_merge_mode').on('change', function () { saveSetting('npcMergeMode', this.value); });
 
     // Auto-hide bindings
     $('#mm_auto_hide').on('change', function () {
@@ -565,6 +864,8 @@ function bindSettingsPanel() {
     $('#mm_secondary_api_key').on('change', function () { saveSetting('secondaryApiKey', this.value.trim()); });
     $('#mm_secondary_api_model').on('change', function () { saveSetting('secondaryApiModel', this.value.trim()); });
     $('#mm_secondary_api_temperature').on('change', function () { saveSetting('secondaryApiTemperature', Number(this.value)); });
+    $('#mm_use_structured_output').on('change', function () { saveSetting('useStructuredOutput', this.checked); });
+    $('#mm_init_parallelism').on('change', function () { saveSetting('initParallelism', Math.max(1, Number(this.value) || 1)); });
     $('#mm_test_secondary_api').on('click', testSecondaryApi);
 
     // Save management bindings
@@ -631,14 +932,24 @@ function bindSettingsPanel() {
         }
     });
 
+    // Prompt template editor
+    $('#mm_prompt_template_select').on('change', refreshPromptTemplateEditor);
+    $('#mm_prompt_template_text').on('input', onPromptTemplateInput);
+    $('#mm_prompt_template_save').on('click', onSavePromptTemplateClick);
+    $('#mm_prompt_template_reset').on('click', onResetPromptTemplateClick);
+    $('#mm_prompt_pack_export').on('click', onExportPromptPackClick);
+    $('#mm_prompt_pack_import').on('click', onImportPromptPackClick);
+
     // Action buttons
     $('#mm_force_extract').on('click', () => safeExtract(true));
     $('#mm_force_compress').on('click', () => safeCompress(true));
     $('#mm_initialize').on('click', performBatchInitialization);
+    $('#mm_discard_init').on('click', onDiscardInitClick);
     $('#mm_reset').on('click', onResetClick);
     $('#mm_export').on('click', onExportClick);
     $('#mm_import').on('click', onImportClick);
-    $('#mm_edit_timeline').on('click', onEditTimelineClick);
+    $('#mm_add_timeline_entry').on('click', onAddTimelineEntryClick);
+    $('#mm_ws_location, #mm_ws_time_of_day, #mm_ws_weather, #mm_ws_present, #mm_ws_conditions').on('change', onWorldStateFieldChange);
 }
 
 // ============================================================
@@ -649,18 +960,34 @@ function createDefaultData() {
     return {
         version: DATA_VERSION,
 
-        // Timeline text (maintained by LLM, periodically compressed)
-        timeline: '',
+        // Structured timeline (appended by extraction, older unlocked entries compressed)
+        // [{ id, dayStart, dayEnd, text, pageIds[], locked, source, createdAt }]
+        // source: 'extraction' | 'init' | 'compression' | 'manual' | 'migration'
+        timeline: [],
 
         // Known character attitudes (from char card / settings, attitude only)
+        // [{ name, attitude, attitudeHistory: [{ day, attitude, source, at }] }]
         knownCharacterAttitudes: [],
 
         // NPC character dossiers (full detail, for new/random NPCs)
+        // [{ name, aliases[], appearance, personality, attitude, attitudeHistory[], retired, changeLog[] }]
         characters: [],
 
-        // Item list
+        // Item ledger: current status + day-stamped status-change events
+        // [{ name, significance, status, holder, history: [{ day, status, holder, pageId, at }] }]
         items: [],
 
+        // Open threads: promises / foreshadowing / conflicts / mysteries and whether they were paid off
+        // [{ id, title, kind, status: 'open'|'resolved'|'broken', dayOpened, dayClosed, pageIds[], note, createdAt, updatedAt }]
+        threads: [],
+
+        // Relationship edges between any two characters (directed: how `from` relates to `to`)
+        // [{ id, from, to, type, description, history: [{ day, type, description, pageId, at }], updatedAt }]
+        relationships: [],
+
+        // "Where are we right now", overwritten every extraction cycle
+        worldState: createDefaultWorldState(),
+
         // Story pages (detailed event descriptions, progressively compressed)
         // Each page now includes: categories: string[] (semantic tags)
         pages: [],
@@ -671,11 +998,40 @@ function createDefaultData() {
         // Processing state
         processing: {
             lastExtractedMessageId: -1,
-            extractionInProgress: false,
+            // { owner (page load id), holder ('queue' | 'init'), acquiredAt, heartbeatAt }
+            lock: null,
+            // [{ id, type, force, status, attempts, nextRunAt, lastError, createdAt, startedAt }]
+            jobs: [],
+            // A message change arrived while the lock was held; the queue rolls back once it holds the lock
+            reconcilePending: false,
+            // Unfinished batch initialization:
+            // { mode, batches[], nextBatch, successBatches, batchTokens, loreHash, relativeDays, messageCount, startedAt }
+            initCheckpoint: null,
         },
 
         // Per-message recall records (for UI display)
         messageRecalls: {},
+
+        // Possible duplicate pages awaiting the user's decision (pageDedupeMode 'ask')
+        // [{ pageId, targetId, method, score, approved, createdAt }]
+        pendingMerges: [],
+
+        // Extraction journal: one entry per performExtraction run, used for rollback
+        // [{ id, startIdx, endIdx, messageHashes[], changes: {per-collection delta}, addedPageIds[], pageSnapshots[], createdAt }]
+        extractionJournal: [],
+    };
+}
+
+function createDefaultWorldState() {
+    return {
+        location: '',
+        timeOfDay: '',
+        present: [],
+        weather: '',
+        conditions: [],   // injuries, illnesses, ongoing effects
+        day: '',
+        source: '',
+        updatedAt: null,
     };
 }
 
@@ -810,6 +1166,65 @@ function migrateV3toV4(oldData) {
     return newData;
 }
 
+/**
+ * Convert a v4 item ({name, status, significance}) to a v5 ledger entry.
+ */
+function toItemLedgerEntry(item) {
+    if (Array.isArray(item.history)) return item;
+    const status = item.status || '';
+    return {
+        name: item.name || '',
+        significance: item.significance || '',
+        status,
+        holder: item.holder || '',
+        history: status ? [{ day: '', status, holder: item.holder || '', pageId: null, at: Date.now() }] : [],
+    };
+}
+
+/**
+ * Migrate v4 data to v5: items become a ledger with per-day status history.
+ */
+function migrateV4toV5(oldData) {
+    log('Migrating data from v4 to v5...');
+    const newData = { ...createDefaultData(), ...oldData, version: 5 };
+
+    newData.items = (oldData.items || []).map(toItemLedgerEntry);
+
+    // Journal snapshots must roll back into the new item format too
+    newData.extractionJournal = (oldData.extractionJournal || []).map(entry => ({
+        ...entry,
+        before: {
+            ...entry.before,
+            items: (entry.before?.items || []).map(toItemLedgerEntry),
+        },
+    }));
+
+    log('Migration v4->v5 complete. Items:', newData.items.length);
+    return newData;
+}
+
+/**
+ * Migrate v5 data to v6: the free-text timeline becomes structured entries.
+ */
+function migrateV5toV6(oldData) {
+    log('Migrating data from v5 to v6...');
+    const newData = { ...createDefaultData(), ...oldData, version: 6 };
+
+    // v5 timelines were always written as "D1: ..." whatever time model is active now
+    const toEntries = (timeline) => Array.isArray(timeline)
+        ? timeline
+        : parseTimelineText(timeline || '', 'migration', TIME_MODELS.day);
+
+    newData.timeline = toEntries(oldData.timeline);
+    newData.extractionJournal = (oldData.extractionJournal || []).map(entry => ({
+        ...entry,
+        before: { ...entry.before, timeline: toEntries(entry.before?.timeline) },
+    }));
+
+    log('Migration v5->v6 complete. Timeline entries:', newData.timeline.length);
+    return newData;
+}
+
 function getMemoryData() {
     const ctx = getContext();
     if (!ctx.chatMetadata) return createDefaultData();
@@ -829,6 +1244,12 @@ function getMemoryData() {
         if (d.version === 3) {
             d = migrateV3toV4(d);
         }
+        if (d.version === 4) {
+            d = migrateV4toV5(d);
+        }
+        if (d.version === 5) {
+            d = migrateV5toV6(d);
+        }
         if (d.version !== DATA_VERSION) {
             d.version = DATA_VERSION;
         }
@@ -847,6 +1268,37 @@ function getMemoryData() {
         d.embeddings = {};
     }
 
+    // Ensure extraction journal exists
+    if (!Array.isArray(d.extractionJournal)) {
+        d.extractionJournal = [];
+    }
+
+    // Ensure open threads exist
+    if (!Array.isArray(d.threads)) {
+        d.threads = [];
+    }
+
+    // Ensure relationship edges exist
+    if (!Array.isArray(d.relationships)) {
+        d.relationships = [];
+    }
+
+    // Ensure world state exists
+    if (!d.worldState || typeof d.worldState !== 'object') {
+        d.worldState = createDefaultWorldState();
+    }
+
+    // Ensure merge review queue exists
+    if (!Array.isArray(d.pendingMerges)) {
+        d.pendingMerges = [];
+    }
+
+    // Ensure job queue exists; the old flag could stay stuck after a reload
+    if (!Array.isArray(d.processing.jobs)) {
+        d.processing.jobs = [];
+    }
+    delete d.processing.extractionInProgress;
+
     return d;
 }
 
@@ -983,9 +1435,16 @@ async function loadFromSlot(charName, slotName) {
         if (imported.version === 3) {
             imported = migrateV3toV4(imported);
         }
+        if (imported.version === 4) {
+            imported = migrateV4toV5(imported);
+        }
+        if (imported.version === 5) {
+            imported = migrateV5toV6(imported);
+        }
         imported.version = DATA_VERSION;
 
         const ctx = getContext();
+        abandonJobWaiters();
         ctx.chatMetadata.memoryManager = imported;
         saveMemoryData();
 
@@ -1132,6 +1591,17 @@ async function embedPage(page) {
     }
 }
 
+/**
+ * Embed every retrievable page that has no vector yet (new or just rewritten pages).
+ */
+async function embedMissingPages(data) {
+    if (!isEmbeddingConfigured()) return;
+    const pending = data.pages.filter(p => !data.embeddings[p.id] && isRetrievablePage(p));
+    for (const page of pending) {
+        await embedPage(page);
+    }
+}
+
 async function embedAllPages(pages) {
     if (!isEmbeddingConfigured()) return;
     const data = getMemoryData();
@@ -1155,13 +1625,17 @@ async function embedAllPages(pages) {
     log('Embedded all pages:', pages.length);
 }
 
-async function embeddingPreFilter(data, recentText, topK) {
+/**
+ * Rank every embedded, retrievable page by cosine similarity to the recent conversation.
+ * @returns {Promise<Array<{ page: object, score: number }>|null>} Best first; null if the API call failed
+ */
+async function embeddingRank(data, recentText) {
     try {
         const [queryVec] = await callEmbeddingsApi([recentText]);
 
         const scored = [];
         for (const page of data.pages) {
-            if (page.compressionLevel > COMPRESS_SUMMARY) continue;
+            if (!isRetrievablePage(page)) continue;
             const pageVec = data.embeddings[page.id];
             if (!pageVec) continue;
             const score = cosineSimilarity(queryVec, pageVec);
@@ -1169,12 +1643,10 @@ async function embeddingPreFilter(data, recentText, topK) {
         }
 
         scored.sort((a, b) => b.score - a.score);
-        const results = scored.slice(0, topK);
-
-        log('Embedding pre-filter results:', results.map(r => `${r.page.title}(${r.score.toFixed(3)})`));
-        return results.map(r => r.page);
+        log('Embedding ranking (top 10):', scored.slice(0, 10).map(r => `${r.page.title}(${r.score.toFixed(3)})`));
+        return scored;
     } catch (err) {
-        warn('Embedding pre-filter failed:', err);
+        warn('Embedding ranking failed:', err);
         return null;
     }
 }
@@ -1195,7 +1667,7 @@ async function testEmbeddingApi() {
 
 async function rebuildAllVectors() {
     const data = getMemoryData();
-    const pages = data.pages.filter(p => p.compressionLevel <= COMPRESS_SUMMARY);
+    const pages = data.pages.filter(isRetrievablePage);
     if (pages.length === 0) {
         toastr?.warning?.('没有可索引的页面', 'Memory Manager');
         return;
@@ -1210,6 +1682,220 @@ async function rebuildAllVectors() {
     updateBrowserUI();
 }
 
+// ============================================================
+//  Hybrid Ranking (BM25 + Embedding, reciprocal rank fusion)
+// ============================================================
+
+const CJK_CHAR_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]/;
+
+// undefined = not created yet, null = Intl.Segmenter unavailable
+let wordSegmenter;
+
+function getWordSegmenter() {
+    if (wordSegmenter === undefined) {
+        wordSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter('zh', { granularity: 'word' })
+            : null;
+    }
+    return wordSegmenter;
+}
+
+function isStopWord(word) {
+    return STOP_WORDS.has(word) || /^[\u3040-\u309f]$/.test(word);
+}
+
+/**
+ * Overlapping character bigrams of a CJK string (the string itself if shorter).
+ */
+function charBigrams(text) {
+    if (text.length < 2) return text ? [text] : [];
+    const grams = [];
+    for (let i = 0; i + 1 < text.length; i++) grams.push(text.slice(i, i + 2));
+    return grams;
+}
+
+/**
+ * Terms for the lexical index and for queries (lowercased, stop words dropped).
+ * CJK text is segmented into words with Intl.Segmenter; words longer than two characters also
+ * add their bigrams, so "港口城" still matches "港口". Runs of single-character segments,
+ * which is how the segmenter splits names and words it doesn't know ("艾|琳"), back off to
+ * character bigrams. Without Intl.Segmenter every CJK run backs off to bigrams.
+ */
+function tokenizeForIndex(text) {
+    const source = String(text || '').toLowerCase();
+    const segmenter = getWordSegmenter();
+    if (!segmenter) {
+        const terms = [];
+        for (const run of source.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]+|[a-z0-9]+/g) || []) {
+            if (!CJK_CHAR_RE.test(run)) {
+                if (run.length >= 2 && !isStopWord(run)) terms.push(run);
+                continue;
+            }
+            for (const part of splitOnStopChars(run)) terms.push(...charBigrams(part));
+        }
+        return terms;
+    }
+
+    const terms = [];
+    let run = '';
+    const flushRun = () => {
+        terms.push(...charBigrams(run));
+        run = '';
+    };
+    for (const { segment, isWordLike } of segmenter.segment(source)) {
+        if (!isWordLike || isStopWord(segment)) {
+            flushRun();
+            continue;
+        }
+        if (!CJK_CHAR_RE.test(segment)) {
+            flushRun();
+            if (segment.length >= 2) terms.push(segment);
+        } else if (segment.length === 1) {
+            run += segment;
+        } else {
+            flushRun();
+            terms.push(segment);
+            if (segment.length > 2) terms.push(...charBigrams(segment));
+        }
+    }
+    flushRun();
+    return terms;
+}
+
+/**
+ * Split a CJK run at single-character stop words (the no-Segmenter fallback).
+ */
+function splitOnStopChars(run) {
+    return [...run].reduce((parts, ch) => {
+        if (isStopWord(ch)) parts.push('');
+        else parts[parts.length - 1] += ch;
+        return parts;
+    }, ['']).filter(Boolean);
+}
+
+/**
+ * Terms for a list of phrases (keywords, character names): each whole phrase plus its tokens.
+ */
+function phraseTerms(phrases) {
+    const terms = [];
+    for (const phrase of phrases || []) {
+        const whole = String(phrase).trim().toLowerCase();
+        const tokens = tokenizeForIndex(whole);
+        if (whole && !tokens.includes(whole)) terms.push(whole);
+        terms.push(...tokens);
+    }
+    return terms;
+}
+
+/**
+ * Whether `text` (lowercased) names `name`: substring match for CJK names,
+ * whole-word match otherwise. Single-character names are ignored.
+ */
+function textMentions(text, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (key.length < 2) return false;
+    if (CJK_CHAR_RE.test(key)) return text.includes(key);
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(key)}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * BM25 index over the given pages. Term frequencies are weighted per field
+ * (BM25_FIELD_WEIGHTS), so a keyword hit counts more than a title or character hit,
+ * and those more than one in the content. Keywords and character names also index as whole phrases.
+ * @returns {{ docs: Array<{ page: object, tf: Map<string, number>, length: number }>, df: Map<string, number>, avgLength: number }}
+ */
+function buildLexicalIndex(pages) {
+    const docs = [];
+    const df = new Map();
+    let totalLength = 0;
+    for (const page of pages) {
+        const fields = {
+            keywords: phraseTerms(page.keywords),
+            characters: phraseTerms(page.characters),
+            title: tokenizeForIndex(page.title),
+            content: tokenizeForIndex(page.content),
+        };
+        const tf = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(BM25_FIELD_WEIGHTS)) {
+            for (const term of fields[field]) {
+                tf.set(term, (tf.get(term) || 0) + weight);
+                length += weight;
+            }
+        }
+        for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+        docs.push({ page, tf, length });
+        totalLength += length;
+    }
+    return { docs, df, avgLength: docs.length > 0 ? totalLength / docs.length : 0 };
+}
+
+/**
+ * Rank indexed pages by BM25 against the query terms; pages sharing no term are left out.
+ * @param {Iterable<string>} queryTerms From extractQueryKeywords
+ * @returns {Array<{ page: object, score: number }>} Best first
+ */
+function bm25Rank(index, queryTerms) {
+    const terms = [...new Set(queryTerms)].filter(t => index.df.has(t));
+    const n = index.docs.length;
+    const scored = [];
+    for (const doc of index.docs) {
+        let score = 0;
+        for (const term of terms) {
+            const tf = doc.tf.get(term);
+            if (!tf) continue;
+            const df = index.df.get(term);
+            const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.avgLength);
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + norm);
+        }
+        if (score > 0) scored.push({ page: doc.page, score });
+    }
+    return scored.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reciprocal rank fusion: a page scores Σ 1 / (RRF_K + rank) over the rankings it appears in,
+ * so BM25 and cosine scores never have to be put on the same scale.
+ * @param {Array<Array<{ page: object }>>} rankings Each best first
+ * @returns {Array<{ page: object, score: number }>} Best first
+ */
+function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+    for (const ranking of rankings) {
+        ranking.slice(0, HYBRID_RANK_DEPTH).forEach(({ page }, i) => {
+            fused.set(page, (fused.get(page) || 0) + 1 / (RRF_K + i + 1));
+        });
+    }
+    return [...fused.entries()]
+        .map(([page, score]) => ({ page, score }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rank retrievable pages for the recent conversation: BM25 over the query terms, fused with
+ * embedding similarity when vectors are configured.
+ * @param {Set<string>} queryKeywords From extractQueryKeywords
+ * @returns {Promise<{ pages: object[], usedEmbedding: boolean }>}
+ */
+async function rankPagesHybrid(data, queryKeywords, recentText) {
+    const rankings = [bm25Rank(buildLexicalIndex(data.pages.filter(isRetrievablePage)), queryKeywords)];
+
+    let usedEmbedding = false;
+    if (isEmbeddingConfigured()) {
+        const semantic = await embeddingRank(data, recentText);
+        if (semantic && semantic.length > 0) {
+            rankings.push(semantic);
+            usedEmbedding = true;
+        }
+    }
+
+    const fused = rankings.length > 1 ? reciprocalRankFusion(rankings) : rankings[0];
+    log('Hybrid ranking (top 10):', fused.slice(0, 10).map(r => `${r.page.title}(${r.score.toFixed(3)})`),
+        `bm25 hits: ${rankings[0].length}`, usedEmbedding ? 'fused with embeddings' : 'bm25 only');
+    return { pages: fused.map(r => r.page), usedEmbedding };
+}
+
 // ============================================================
 //  JSON Parsing (kept from v3)
 // ============================================================
@@ -1329,582 +2015,3785 @@ function fixJsonString(raw) {
 }
 
 // ============================================================
-//  Story Index Formatting (for injection — compact, bounded)
+//  Extraction Result Validation & Repair
 // ============================================================
 
+const VALID_SIGNIFICANCE = new Set(['high', 'medium']);
+
 /**
- * Format the compact story index for injection.
- * Only timeline + items. Characters are fully on-demand via tool calling.
- * Target: ~400-600 tokens maximum.
+ * Check a parsed extraction result against the schema the prompts ask for.
+ * Returns human-readable errors (in the active language, they are sent back to the LLM).
+ * @returns {string[]}
  */
-function formatStoryIndex(data) {
-    const parts = ['[故事索引]'];
-    const ctx = getContext();
-    const userName = ctx.name1 || '{{user}}';
+function validateExtractionResult(result, knownPageIds = null) {
+    const V = getLangPack().validation;
+    if (!result || typeof result !== 'object' || Array.isArray(result)) return [V.notObject];
+
+    const errors = [];
+    const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+    const checkArray = (key, required, checkItem) => {
+        const arr = result[key];
+        if (arr === undefined) {
+            if (required) errors.push(V.missing(key));
+            return;
+        }
+        if (!Array.isArray(arr)) {
+            errors.push(V.notArray(key));
+            return;
+        }
+        arr.forEach((item, i) => {
+            const path = `${key}[${i}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push(V.notObjectAt(path));
+                return;
+            }
+            checkItem(item, path);
+        });
+    };
+    const checkStringArray = (value, path) => {
+        if (value === undefined) return;
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) errors.push(V.notStringArray(path));
+    };
+    const timeHint = getTimeFormatHint();
+    const checkTime = (value, path, allowRange) => {
+        const range = isText(value) ? parseTimeRange(value) : null;
+        if (!range || (!allowRange && range.start !== range.end)) errors.push(V.badDay(path, value, timeHint));
+    };
 
-    // Timeline (compact)
-    if (data.timeline) {
-        parts.push('一、剧情时间线');
-        parts.push(data.timeline);
-    }
+    // Custom templates written before newTimelineEntries still ask for the full timeline text
+    const hasLegacyTimeline = result.newTimelineEntries === undefined && isText(result.timeline);
+    checkArray('newTimelineEntries', !hasLegacyTimeline, (e, path) => {
+        checkTime(e.day, `${path}.day`, true);
+        if (!isText(e.text)) errors.push(V.notText(`${path}.text`));
+        checkStringArray(e.pages, `${path}.pages`);
+    });
 
-    // Item index (compact)
-    if (data.items.length > 0) {
-        parts.push('\n二、物品');
-        for (const item of data.items) {
-            parts.push(`· ${item.name} | ${item.status || ''}`);
-        }
-    }
+    checkArray('knownCharacterAttitudes', false, (c, path) => {
+        if (!isText(c.name)) errors.push(V.notText(`${path}.name`));
+        if (typeof c.attitude !== 'string') errors.push(V.notText(`${path}.attitude`));
+    });
+
+    checkArray('newCharacters', false, (c, path) => {
+        if (!isText(c.name)) errors.push(V.notText(`${path}.name`));
+        checkStringArray(c.aliases, `${path}.aliases`);
+    });
+
+    checkArray('itemEvents', false, (ev, path) => {
+        if (!isText(ev.name)) errors.push(V.notText(`${path}.name`));
+        if (isText(ev.day)) checkTime(ev.day, `${path}.day`, false);
+    });
 
-    // Known character attitudes (always show all)
-    if (data.knownCharacterAttitudes && data.knownCharacterAttitudes.length > 0) {
-        parts.push(`\n三、已有角色对${userName}态度/关系`);
-        for (const c of data.knownCharacterAttitudes) {
-            if (c.attitude) {
-                parts.push(`· ${c.name}: ${c.attitude}`);
+    checkArray('newPages', true, (p, path) => {
+        if (!isText(p.title)) errors.push(V.notText(`${path}.title`));
+        if (!isText(p.content)) errors.push(V.notText(`${path}.content`));
+        checkTime(p.day, `${path}.day`, true);
+        checkStringArray(p.keywords, `${path}.keywords`);
+        if (p.categories !== undefined) {
+            if (!Array.isArray(p.categories)) {
+                errors.push(V.notArray(`${path}.categories`));
+            } else {
+                p.categories.forEach((c, ci) => {
+                    if (!VALID_CATEGORIES.has(c)) errors.push(V.badCategory(`${path}.categories[${ci}]`, c));
+                });
             }
         }
-    }
-
-    // NPC character names (dossiers are on-demand)
-    if (data.characters.length > 0) {
-        const names = data.characters.map(c => c.name).join('、');
-        parts.push(`\n四、已登场NPC: ${names}`);
-    }
+        if (p.significance !== undefined && !VALID_SIGNIFICANCE.has(p.significance)) {
+            errors.push(V.badSignificance(`${path}.significance`, p.significance));
+        }
+        if (p.sourceMessages !== undefined
+            && (!Array.isArray(p.sourceMessages)
+                || p.sourceMessages.some(n => !/^#?\d+$/.test(String(n).trim())))) {
+            errors.push(V.badSourceMessages(`${path}.sourceMessages`));
+        }
+    });
 
-    parts.push('[/故事索引]');
-    return parts.join('\n');
-}
+    const checkPageRef = (p, path) => {
+        if (!isText(p.id)) {
+            errors.push(V.notText(`${path}.id`));
+        } else if (knownPageIds && !knownPageIds.has(p.id.trim())) {
+            errors.push(V.unknownPageId(`${path}.id`, p.id));
+        }
+    };
+    checkArray('updatedPages', false, (p, path) => {
+        checkPageRef(p, path);
+        if (p.content !== undefined && typeof p.content !== 'string') errors.push(V.notText(`${path}.content`));
+        checkStringArray(p.addKeywords, `${path}.addKeywords`);
+    });
+    checkArray('supersededPages', false, (p, path) => checkPageRef(p, path));
+
+    checkArray('threadUpdates', false, (t, path) => {
+        if (!isText(t.title)) errors.push(V.notText(`${path}.title`));
+        if (t.kind !== undefined && !(t.kind in THREAD_KINDS)) errors.push(V.badThreadKind(`${path}.kind`, t.kind));
+        if (t.status !== undefined && !(t.status in THREAD_STATUSES)) errors.push(V.badThreadStatus(`${path}.status`, t.status));
+        if (isText(t.day)) checkTime(t.day, `${path}.day`, false);
+        checkStringArray(t.pages, `${path}.pages`);
+    });
 
-/**
- * Format selected pages for injection (recalled content).
- */
-function formatRecalledPages(pages) {
-    if (pages.length === 0) return '';
+    checkArray('relationshipEvents', false, (rel, path) => {
+        if (!isText(rel.from)) errors.push(V.notText(`${path}.from`));
+        if (!isText(rel.to)) errors.push(V.notText(`${path}.to`));
+        if (!isText(rel.type)) errors.push(V.notText(`${path}.type`));
+        if (isText(rel.day)) checkTime(rel.day, `${path}.day`, false);
+    });
 
-    const parts = ['[记忆闪回]'];
-    for (const page of pages) {
-        parts.push(`回忆起了……「${page.title}」(${page.day})`);
-        parts.push(page.content);
-        parts.push('');
+    if (result.worldState !== undefined) {
+        const ws = result.worldState;
+        if (!ws || typeof ws !== 'object' || Array.isArray(ws)) {
+            errors.push(V.notObjectAt('worldState'));
+        } else {
+            for (const field of WORLD_STATE_TEXT_FIELDS) {
+                if (ws[field] !== undefined && typeof ws[field] !== 'string') errors.push(V.notText(`worldState.${field}`));
+            }
+            for (const field of WORLD_STATE_LIST_FIELDS) checkStringArray(ws[field], `worldState.${field}`);
+        }
     }
-    parts.push('[/记忆闪回]');
-    return parts.join('\n');
+
+    return errors;
 }
 
 /**
- * Format character dossier for injection when character is relevant.
+ * JSON schema of the extraction / init-extraction output, for structured-output mode.
+ * Kept loose (strict: false) so optional sections may be omitted; validateExtractionResult
+ * remains the source of truth either way.
  */
-function formatDossier(character) {
-    const parts = [];
-    parts.push(`[角色档案: ${character.name}]`);
-    if (character.appearance) parts.push(`外貌: ${character.appearance}`);
-    if (character.personality) parts.push(`性格: ${character.personality}`);
-    if (character.attitude) parts.push(`对主角态度: ${character.attitude}`);
-    parts.push(`[/角色档案]`);
-    return parts.join('\n');
-}
-
-// ============================================================
-//  Extraction Engine
+const EXTRACTION_JSON_SCHEMA = {
+    name: 'memory_extraction',
+    strict: false,
+    value: {
+        type: 'object',
+        properties: {
+            newTimelineEntries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        day: { type: 'string' },
+                        text: { type: 'string' },
+                        pages: { type: 'array', items: { type: 'string' } },
+                    },
+                    required: ['day', 'text'],
+                },
+            },
+            knownCharacterAttitudes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        attitude: { type: 'string' },
+                    },
+                    required: ['name', 'attitude'],
+                },
+            },
+            newCharacters: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        aliases: { type: 'array', items: { type: 'string' } },
+                        appearance: { type: 'string' },
+                        personality: { type: 'string' },
+                        attitude: { type: 'string' },
+                    },
+                    required: ['name'],
+                },
+            },
+            itemEvents: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        status: { type: 'string' },
+                        holder: { type: 'string' },
+                        day: { type: 'string' },
+                        page: { type: 'string' },
+                        significance: { type: 'string' },
+                    },
+                    required: ['name', 'status'],
+                },
+            },
+            newPages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        day: { type: 'string' },
+                        content: { type: 'string' },
+                        keywords: { type: 'array', items: { type: 'string' } },
+                        categories: { type: 'array', items: { type: 'string', enum: [...VALID_CATEGORIES] } },
+                        significance: { type: 'string', enum: [...VALID_SIGNIFICANCE] },
+                        sourceMessages: { type: 'array', items: { type: 'integer' } },
+                    },
+                    required: ['title', 'day', 'content', 'keywords', 'categories', 'significance'],
+                },
+            },
+            updatedPages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        content: { type: 'string' },
+                        addKeywords: { type: 'array', items: { type: 'string' } },
+                        reason: { type: 'string' },
+                    },
+                    required: ['id'],
+                },
+            },
+            supersededPages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        by: { type: 'string' },
+                        reason: { type: 'string' },
+                    },
+                    required: ['id'],
+                },
+            },
+            threadUpdates: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        kind: { type: 'string', enum: Object.keys(THREAD_KINDS) },
+                        status: { type: 'string', enum: Object.keys(THREAD_STATUSES) },
+                        day: { type: 'string' },
+                        pages: { type: 'array', items: { type: 'string' } },
+                        note: { type: 'string' },
+                    },
+                    required: ['title', 'status'],
+                },
+            },
+            relationshipEvents: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string' },
+                        to: { type: 'string' },
+                        type: { type: 'string' },
+                        description: { type: 'string' },
+                        day: { type: 'string' },
+                        page: { type: 'string' },
+                    },
+                    required: ['from', 'to', 'type'],
+                },
+            },
+            worldState: {
+                type: 'object',
+                properties: {
+                    location: { type: 'string' },
+                    timeOfDay: { type: 'string' },
+                    present: { type: 'array', items: { type: 'string' } },
+                    weather: { type: 'string' },
+                    conditions: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+        required: ['newTimelineEntries', 'newPages'],
+    },
+};
+
+/**
+ * Call the LLM for an extraction result, parse and validate it.
+ * On failure the model gets a follow-up turn with its previous output and the exact errors,
+ * up to `extractionRepairAttempts` times; only then does this throw.
+ */
+async function requestExtractionResult(prompt, maxTokens, knownPageIds = null, signal = null) {
+    const s = getSettings();
+    const L = getLangPack();
+    const messages = buildChatMessages(L.system.extraction, prompt);
+    const maxRepairs = Math.max(0, Number(s.extractionRepairAttempts) || 0);
+
+    const options = { jsonSchema: EXTRACTION_JSON_SCHEMA, signal };
+
+    let response = await callLLMMessages(messages, maxTokens, options);
+    for (let attempt = 0; ; attempt++) {
+        const result = parseJsonResponse(response);
+        const errors = result ? validateExtractionResult(result, knownPageIds) : [L.validation.notJson];
+        if (errors.length === 0) {
+            if (attempt > 0) log(`Extraction response repaired after ${attempt} attempt(s)`);
+            return result;
+        }
+
+        if (attempt >= maxRepairs) {
+            throw new Error(`Invalid extraction response after ${attempt} repair attempt(s): ${errors.slice(0, 3).join('; ')}`);
+        }
+
+        warn(`Extraction response invalid (${errors.length} errors), requesting repair ${attempt + 1}/${maxRepairs}:`, errors);
+        messages.push(
+            { role: 'assistant', content: response || '' },
+            { role: 'user', content: L.validation.repair(errors) },
+        );
+        response = await callLLMMessages(messages, maxTokens, options);
+    }
+}
+
+// ============================================================
+//  Time Model (story-time labels: day counter / dates / chapters / custom calendar)
+// ============================================================
+
+/**
+ * Every story-time label (page day, timeline range ends, item/thread/relationship days) is read
+ * through the active time model. `ordinal` maps one label to a number that only needs to be
+ * monotonic, so sorting, range overlap and "nearest entry" work the same for every model.
+ */
+const TIME_MODELS = {
+    day: {
+        label: '天数 (D1, D2…)',
+        example: 'D1',
+        rangeSep: '-',
+        normalize: (label) => label.toUpperCase(),
+        ordinal(label) {
+            const m = label.match(/^D(\d+)$/i);
+            return m ? Number(m[1]) : NaN;
+        },
+    },
+    date: {
+        label: '日期 (YYYY-MM-DD)',
+        example: '2024-05-03',
+        rangeSep: '~',
+        normalize: (label) => label,
+        ordinal(label) {
+            const m = label.match(/^(\d{1,6})-(\d{1,2})-(\d{1,2})$/);
+            if (!m || Number(m[2]) < 1 || Number(m[2]) > 12 || Number(m[3]) < 1 || Number(m[3]) > 31) return NaN;
+            const d = new Date(0);
+            d.setUTCFullYear(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+            return Math.round(d.getTime() / 86400000);
+        },
+    },
+    chapter: {
+        label: '章节 (C2, C2S3)',
+        example: 'C1S1',
+        rangeSep: '-',
+        normalize: (label) => label.toUpperCase(),
+        ordinal(label) {
+            const m = label.match(/^C(\d+)(?:S(\d+))?$/i);
+            return m ? Number(m[1]) * 1000 + Number(m[2] || 0) : NaN;
+        },
+    },
+};
+
+const TIME_RANGE_SEP_RE = /\s*[-~–—至]\s*|\s+to\s+/gi;
+
+let customTimeModelCache = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the custom calendar model from a label format such as "王国历{year}年{month}{day}日"
+ * and optional month names. Order is year > month > day wherever they appear in the label.
+ */
+function buildCustomTimeModel(format, monthList) {
+    const months = String(monthList || '').split(/[,，、]/).map(m => m.trim()).filter(Boolean);
+    const fields = [];
+    const source = String(format || '').split(/(\{(?:year|month|day)\})/).map(part => {
+        const field = part.match(/^\{(year|month|day)\}$/)?.[1];
+        if (!field) return escapeRegExp(part).replace(/\s+/g, '\\s*');
+        fields.push(field);
+        return field === 'month' && months.length > 0
+            ? `(${months.map(escapeRegExp).join('|')}|\\d+)`
+            : '(\\d+)';
+    }).join('');
+    if (fields.length === 0) return TIME_MODELS.day;
+
+    const re = new RegExp(`^${source}$`, 'i');
+    const example = String(format).replace(/\{(year|month|day)\}/g, (_, f) => (f === 'month' && months[0]) || '1');
+    return {
+        label: '自定义历法',
+        example,
+        rangeSep: '~',
+        format: String(format),
+        months,
+        normalize: (label) => label,
+        ordinal(label) {
+            const m = label.match(re);
+            if (!m) return NaN;
+            const parts = { year: 0, month: 0, day: 0 };
+            fields.forEach((f, i) => {
+                const raw = m[i + 1];
+                const idx = f === 'month' ? months.findIndex(name => name.toLowerCase() === raw.toLowerCase()) : -1;
+                parts[f] = idx >= 0 ? idx + 1 : Number(raw);
+            });
+            return parts.year * 10000 + parts.month * 100 + parts.day;
+        },
+    };
+}
+
+function getTimeModel() {
+    const s = getSettings();
+    if (s.timeModel !== 'custom') return TIME_MODELS[s.timeModel] || TIME_MODELS.day;
+    const key = `${s.customTimeFormat}|${s.customTimeMonths}`;
+    if (customTimeModelCache?.key !== key) {
+        customTimeModelCache = { key, model: buildCustomTimeModel(s.customTimeFormat, s.customTimeMonths) };
+    }
+    return customTimeModelCache.model;
+}
+
+/**
+ * Format instructions for the active time model, in the active language (fed to the prompts).
+ */
+function getTimeFormatHint() {
+    const model = getTimeModel();
+    const T = getLangPack().time;
+    if (model.format) return T.custom(model);
+    return T[getSettings().timeModel] ? T[getSettings().timeModel](model) : T.day(model);
+}
+
+function timeOrdinal(label) {
+    return getTimeModel().ordinal(String(label || '').trim());
+}
+
+/**
+ * Split a time label into { start, end } (a single point gives start === end), or null if it
+ * doesn't parse. Separators may also occur inside a label (ISO dates), so every split is tried.
+ */
+function parseTimeRange(label, model = getTimeModel()) {
+    const text = String(label || '').trim();
+    if (!text) return null;
+    if (Number.isFinite(model.ordinal(text))) {
+        const point = model.normalize(text);
+        return { start: point, end: point };
+    }
+    for (const m of text.matchAll(TIME_RANGE_SEP_RE)) {
+        const start = text.slice(0, m.index).trim();
+        const end = text.slice(m.index + m[0].length).trim();
+        if (Number.isFinite(model.ordinal(start)) && Number.isFinite(model.ordinal(end))) {
+            return { start: model.normalize(start), end: model.normalize(end) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Time labels of the chat's timeline and pages that the given time model can't read.
+ */
+function findUnreadableTimeLabels(data, model) {
+    const labels = [...data.timeline.map(e => e.dayStart), ...data.pages.map(p => p.day)].filter(Boolean);
+    return [...new Set(labels)].filter(label => !parseTimeRange(label, model));
+}
+
+function formatTimeRange(start, end) {
+    if (!start) return '';
+    return end && end !== start ? `${start}${getTimeModel().rangeSep}${end}` : start;
+}
+
+/**
+ * Numeric [from, to] span of a point or range label; null if it doesn't parse.
+ */
+function timeSpan(label) {
+    const range = parseTimeRange(label);
+    if (!range) return null;
+    const a = timeOrdinal(range.start);
+    const b = timeOrdinal(range.end);
+    return [Math.min(a, b), Math.max(a, b)];
+}
+
+/**
+ * Sort comparator for time labels: by start, then end. Labels that don't parse sort first.
+ */
+function compareTimeLabels(a, b) {
+    const sa = timeSpan(a);
+    const sb = timeSpan(b);
+    if (!sa || !sb) return (sa ? 1 : 0) - (sb ? 1 : 0);
+    return (sa[0] - sb[0]) || (sa[1] - sb[1]);
+}
+
+// ============================================================
+//  Timeline Model (结构化时间线)
+// ============================================================
+
+function normalizeTimeLabel(label) {
+    const text = String(label || '').trim();
+    return Number.isFinite(timeOrdinal(text)) ? getTimeModel().normalize(text) : text;
+}
+
+function createTimelineEntry(fields, source) {
+    const dayStart = normalizeTimeLabel(fields.dayStart);
+    return {
+        id: generateId('tl'),
+        dayStart,
+        dayEnd: normalizeTimeLabel(fields.dayEnd) || dayStart,
+        text: String(fields.text || '').trim(),
+        pageIds: Array.isArray(fields.pageIds) ? fields.pageIds : [],
+        locked: !!fields.locked,
+        source,
+        createdAt: Date.now(),
+    };
+}
+
+/**
+ * Split a time label such as "D3" or "D3-D5" (in the active time model) into { dayStart, dayEnd }.
+ */
+function parseDayRange(label) {
+    const range = parseTimeRange(label);
+    if (!range) return { dayStart: String(label || '').trim(), dayEnd: '' };
+    return { dayStart: range.start, dayEnd: range.end };
+}
+
+/**
+ * Parse "D1-D3: text" lines (the pre-v6 timeline format, also the timeline compression output) into entries.
+ * Labels are read with the active time model unless another one is given.
+ */
+function parseTimelineText(text, source, model = getTimeModel()) {
+    return String(text || '')
+        .split('\n')
+        .map(l => l.trim())
+        .filter(Boolean)
+        .map(line => {
+            const m = line.match(/^(.+?)\s*[:：]\s*(.+)$/);
+            const range = m ? parseTimeRange(m[1], model) : null;
+            return range
+                ? createTimelineEntry({ dayStart: range.start, dayEnd: range.end, text: m[2] }, source)
+                : createTimelineEntry({ text: line }, source);
+        });
+}
+
+function formatEntryDay(entry) {
+    return formatTimeRange(entry.dayStart, entry.dayEnd);
+}
+
+/**
+ * Render timeline entries to the compact "D1-D3: text" line format used in prompts and the index.
+ */
+function renderTimelineText(entries) {
+    return (entries || []).map(e => {
+        const day = formatEntryDay(e);
+        return day ? `${day}: ${e.text}` : e.text;
+    }).join('\n');
+}
+
+function sortTimeline(data) {
+    data.timeline.sort((a, b) =>
+        compareTimeLabels(formatEntryDay(a), formatEntryDay(b))
+        || (a.createdAt - b.createdAt));
+}
+
+/**
+ * Append entries to the timeline, skipping exact duplicates (same day range and text).
+ * Existing entries are never removed or rewritten here.
+ */
+function appendTimelineEntries(data, entries) {
+    const seen = new Set(data.timeline.map(e => `${formatEntryDay(e)}|${e.text}`));
+    let added = 0;
+    for (const entry of entries) {
+        const key = `${formatEntryDay(entry)}|${entry.text}`;
+        if (!entry.text || seen.has(key)) continue;
+        seen.add(key);
+        data.timeline.push(entry);
+        added++;
+    }
+    if (added > 0) sortTimeline(data);
+    return added;
+}
+
+// ============================================================
+//  Language Packs (prompts + injected text)
+// ============================================================
+
+/**
+ * Everything the LLM or the roleplay context sees goes through a language pack.
+ * JSON schema keys, tool names, category ids and story-time labels (see TIME_MODELS) are shared by all packs,
+ * so parseJsonResponse / applyExtractionResult don't depend on the language.
+ */
+const LANG_PACKS = {
+    zh: {
+        listSep: '、',
+        none: '（无）',
+        emptyTimeline: '（尚无，请从头创建）',
+        categories: MEMORY_CATEGORIES,
+        index: {
+            holder: (holder) => ` (持有: ${holder})`,
+            since: (day) => ` (${day}起)`,
+            location: '地点',
+            timeOfDay: '时间',
+            present: '在场',
+            weather: '天气',
+            conditions: '状况',
+        },
+        threadKinds: THREAD_KINDS,
+        budget: {
+            omitted: (n) => `…（另有 ${n} 项因篇幅省略）`,
+        },
+        system: {
+            extraction: '你是剧情记忆管理系统。严格按要求输出JSON。',
+            pageCompression: '你是文本压缩助手。只输出压缩结果。',
+            timelineCompression: '你是时间线压缩助手。只输出压缩后的时间线。',
+            pageMerge: '你是剧情记忆管理系统。严格按要求输出JSON。',
+        },
+        catalog: {
+            fresh: '详细',
+            summary: '摘要',
+            categories: '分类',
+            none: '无',
+            retired: ' [已退场]',
+            unknown: '(未知)',
+            noPages: '(无可用页面)',
+            noCharacters: '(无NPC角色)',
+            embeddingHint: '\n注意: 以下页面已由语义搜索预筛选，优先从中选择。',
+        },
+        overlap: {
+            context: '[以下是上一批结尾的消息，已经处理过，仅供衔接上下文，不要从中提取内容]',
+            fresh: '[以下是本批需要处理的新消息]',
+        },
+        lore: {
+            positions: {
+                0: '角色定义前 (↑Char)',
+                1: '角色定义后 (↓Char)',
+                2: '作者注释顶部 (↑AT)',
+                3: '作者注释底部 (↓AT)',
+                4: '指定深度 (@D)',
+                5: '扩展提示顶部 (↑EM)',
+                6: '扩展提示底部 (↓EM)',
+            },
+            position: (pos) => `位置 ${pos}`,
+            untitled: '(无标题)',
+        },
+        validation: {
+            notJson: '输出中没有可解析的JSON。',
+            notObject: '顶层必须是一个JSON对象。',
+            missing: (path) => `${path}: 缺少必需字段（没有内容时输出空数组）`,
+            notArray: (path) => `${path}: 必须是数组`,
+            notObjectAt: (path) => `${path}: 必须是对象`,
+            notText: (path) => `${path}: 必须是非空字符串`,
+            notStringArray: (path) => `${path}: 必须是字符串数组`,
+            badDay: (path, value, hint) => `${path}: "${value ?? ''}" 不是有效时间，格式应为: ${hint}`,
+            badCategory: (path, value) => `${path}: "${value}" 不是有效分类，只能从 ${[...VALID_CATEGORIES].join(', ')} 中选择`,
+            badSignificance: (path, value) => `${path}: "${value}" 无效，只能是 "high" 或 "medium"`,
+            badSourceMessages: (path) => `${path}: 必须是消息编号（整数）数组`,
+            unknownPageId: (path, value) => `${path}: "${value}" 不在已有故事页目录中`,
+            badThreadKind: (path, value) => `${path}: "${value}" 无效，只能是 ${Object.keys(THREAD_KINDS).join(', ')}`,
+            badThreadStatus: (path, value) => `${path}: "${value}" 无效，只能是 ${Object.keys(THREAD_STATUSES).join(', ')}`,
+            repair: (errors) => `你上一次的输出没有通过校验，错误如下：\n${errors.map(e => `- ${e}`).join('\n')}\n\n请修正以上问题，重新输出完整的JSON（用markdown代码块包裹），不要有其他文字。`,
+        },
+        time: {
+            day: () => '"D{天数}"，如 "D3"；跨越多天的写成范围 "D3-D5"',
+            date: () => 'ISO 日期 "YYYY-MM-DD"，如 "2024-05-03"；跨越多天的写成范围 "2024-05-03~2024-05-05"',
+            chapter: () => '"C{章}" 或 "C{章}S{场景}"，如 "C2S3"；跨越多个场景的写成范围 "C2S1-C2S4"',
+            custom: (model) => `"${model.format}"${model.months.length > 0 ? `，{month} 取自: ${model.months.join('、')}` : ''}，如 "${model.example}"；跨越多天的用 "~" 连接起止时间`,
+            fragment: '\n\n[注意: 本批是一段长聊天中间的片段，之前和之后的剧情由其他批次同时处理，这里看不到。只根据本批内容输出，不要猜测前情。]',
+            relativeDays: '\n[天数使用相对编号: 本批开头所在的那一天记为 D1，之后每过一天加 1；如果本批一开始就明显进入了新的一天（如"第二天早上"），从 D2 开始。]',
+        },
+        round2: (results, remaining) => `\n\n## 搜索结果\n${results}\n\n根据搜索结果，用 recall_story_page 选择最相关的页面。最多选 ${remaining} 个。`,
+        tools: {
+            recall_story_page: '检索一个故事页的详细内容。这是最终检索工具，用于获取具体页面。可多次调用。',
+            page_id: '要检索的故事页ID',
+            recall_character: '检索NPC角色的详细档案（外貌、性格、态度）。已知主要角色的态度已在故事索引中。',
+            name: '角色名',
+            get_item_history: '获取某物品的状态变化历史（何时获得、谁持有、何时损坏等），附带引起变化的故事页ID。之后可用 recall_story_page 获取详情。',
+            item_name: '物品名',
+            search_pages_by_category: '按语义分类搜索故事页。返回该分类下的页面列表，之后可用 recall_story_page 获取详情。',
+            category: '语义分类',
+            recall_pages_by_day: '获取某天发生的所有事件页面列表。之后可用 recall_story_page 获取详情。',
+            day: (example) => `时间，如 "${example}"，也可以是范围`,
+            get_relationship_history: '获取某角色对主角态度的变化轨迹（按天），以及与该角色相关的所有事件页面列表（关键词和角色字段中包含该角色名的页面）。',
+            character_name: '角色名',
+            get_relationship_between: '获取两个角色之间的关系（双向），包括关系类型、现状说明和按天记录的变化，附带引起变化的故事页ID。',
+            character_a: '第一个角色名',
+            character_b: '第二个角色名',
+            search_by_keyword: '按关键词搜索故事页。搜索页面的关键词数组。返回匹配的页面列表。',
+            keyword: '搜索关键词',
+        },
+        results: {
+            noCategory: (label) => `没有找到分类为"${label}"的页面。`,
+            noDay: (day) => `${day}没有找到相关页面。`,
+            noRelated: (name) => `没有找到与"${name}"相关的页面。`,
+            attitudeHistory: (name) => `[${name} 的态度变化]`,
+            relatedPages: '[相关事件]',
+            noKeyword: (keyword) => `没有找到关键词"${keyword}"相关的页面。`,
+            noItem: (name) => `没有找到物品"${name}"。`,
+            noRelationship: (a, b) => `没有记录"${a}"与"${b}"之间的关系。`,
+            noItemHistory: (item) => `${item.name}: ${item.status || '(无记录)'}（无历史记录）`,
+            holder: (holder) => ` | 持有: ${holder}`,
+            significance: (text) => `（${text}）`,
+            unknownTool: '未知工具',
+        },
+    },
+    en: {
+        listSep: ', ',
+        none: '(none)',
+        emptyTimeline: '(empty — start a new one)',
+        categories: {
+            emotional:      'emotional',
+            relationship:   'relationship',
+            intimate:       'intimate',
+            promise:        'promise',
+            conflict:       'conflict',
+            discovery:      'discovery',
+            turning_point:  'turning point',
+            daily:          'daily',
+        },
+        index: {
+            holder: (holder) => ` (held by: ${holder})`,
+            since: (day) => ` (since ${day})`,
+            location: 'Location',
+            timeOfDay: 'Time',
+            present: 'Present',
+            weather: 'Weather',
+            conditions: 'Conditions',
+        },
+        threadKinds: {
+            promise:        'promise',
+            foreshadowing:  'foreshadowing',
+            conflict:       'conflict',
+            mystery:        'mystery',
+        },
+        budget: {
+            omitted: (n) => `… (${n} more omitted for length)`,
+        },
+        system: {
+            extraction: 'You are a story memory manager. Output JSON exactly as instructed.',
+            pageCompression: 'You are a text compression assistant. Output only the compressed result.',
+            timelineCompression: 'You are a timeline compression assistant. Output only the compressed timeline.',
+            pageMerge: 'You are a story memory manager. Output JSON exactly as instructed.',
+        },
+        catalog: {
+            fresh: 'detailed',
+            summary: 'summary',
+            categories: 'categories',
+            none: 'none',
+            retired: ' [retired]',
+            unknown: '(unknown)',
+            noPages: '(no pages available)',
+            noCharacters: '(no NPCs)',
+            embeddingHint: '\nNote: the pages below were pre-filtered by semantic search; prefer choosing from them.',
+        },
+        overlap: {
+            context: '[The messages below end the previous batch and were already processed. They are context only; don\'t extract anything from them]',
+            fresh: '[New messages to process in this batch]',
+        },
+        lore: {
+            positions: {
+                0: 'Before character definition (↑Char)',
+                1: 'After character definition (↓Char)',
+                2: 'Top of Author\'s Note (↑AT)',
+                3: 'Bottom of Author\'s Note (↓AT)',
+                4: 'At depth (@D)',
+                5: 'Top of extension prompts (↑EM)',
+                6: 'Bottom of extension prompts (↓EM)',
+            },
+            position: (pos) => `Position ${pos}`,
+            untitled: '(untitled)',
+        },
+        validation: {
+            notJson: 'The output contains no parseable JSON.',
+            notObject: 'The top level must be a JSON object.',
+            missing: (path) => `${path}: required field is missing (output an empty array if there is nothing)`,
+            notArray: (path) => `${path}: must be an array`,
+            notObjectAt: (path) => `${path}: must be an object`,
+            notText: (path) => `${path}: must be a non-empty string`,
+            notStringArray: (path) => `${path}: must be an array of strings`,
+            badDay: (path, value, hint) => `${path}: "${value ?? ''}" is not a valid time, expected: ${hint}`,
+            badCategory: (path, value) => `${path}: "${value}" is not a valid category, choose from ${[...VALID_CATEGORIES].join(', ')}`,
+            badSignificance: (path, value) => `${path}: "${value}" is invalid, must be "high" or "medium"`,
+            badSourceMessages: (path) => `${path}: must be an array of message numbers (integers)`,
+            unknownPageId: (path, value) => `${path}: "${value}" is not in the existing story pages catalog`,
+            badThreadKind: (path, value) => `${path}: "${value}" is invalid, must be one of ${Object.keys(THREAD_KINDS).join(', ')}`,
+            badThreadStatus: (path, value) => `${path}: "${value}" is invalid, must be one of ${Object.keys(THREAD_STATUSES).join(', ')}`,
+            repair: (errors) => `Your previous output failed validation with these errors:\n${errors.map(e => `- ${e}`).join('\n')}\n\nFix them and output the complete JSON again (wrapped in a markdown code block), with no other text.`,
+        },
+        time: {
+            day: () => '"D{day number}", e.g. "D3"; an event spanning several days is a range "D3-D5"',
+            date: () => 'ISO date "YYYY-MM-DD", e.g. "2024-05-03"; an event spanning several days is a range "2024-05-03~2024-05-05"',
+            chapter: () => '"C{chapter}" or "C{chapter}S{scene}", e.g. "C2S3"; an event spanning several scenes is a range "C2S1-C2S4"',
+            custom: (model) => `"${model.format}"${model.months.length > 0 ? `, {month} is one of: ${model.months.join(', ')}` : ''}, e.g. "${model.example}"; join the start and end of a range with "~"`,
+            fragment: '\n\n[Note: this batch is a fragment from the middle of a long chat. The story before and after it is processed by other batches at the same time and is not visible here. Output only what this batch contains; don\'t guess at earlier events.]',
+            relativeDays: '\n[Number days relative to this batch: the day the batch starts on is D1, add 1 for each day that passes. If the batch clearly opens on a new day (e.g. "the next morning"), start at D2.]',
+        },
+        round2: (results, remaining) => `\n\n## Search results\n${results}\n\nBased on the search results, pick the most relevant pages with recall_story_page. Choose at most ${remaining}.`,
+        tools: {
+            recall_story_page: 'Retrieve the full content of one story page. This is the final retrieval tool for fetching specific pages. May be called several times.',
+            page_id: 'ID of the story page to retrieve',
+            recall_character: 'Retrieve an NPC\'s full dossier (appearance, personality, attitude). Attitudes of the main known characters are already in the story index.',
+            name: 'Character name',
+            get_item_history: 'Get the state history of an item (when it was obtained, who holds it, when it was damaged, ...) with the IDs of the story pages that caused each change. Then use recall_story_page for details.',
+            item_name: 'Item name',
+            search_pages_by_category: 'Search story pages by semantic category. Returns the list of pages in that category; then use recall_story_page for details.',
+            category: 'Semantic category',
+            recall_pages_by_day: 'List all event pages of a given day. Then use recall_story_page for details.',
+            day: (example) => `Time label, e.g. "${example}"; a range also works`,
+            get_relationship_history: 'Get how a character\'s attitude toward the protagonist changed over time (by day), plus all event pages related to the character (pages whose keywords or characters contain the name).',
+            character_name: 'Character name',
+            get_relationship_between: 'Get the relationship between two characters (both directions): type, current description and its day-by-day changes, with the IDs of the story pages that caused them.',
+            character_a: 'First character name',
+            character_b: 'Second character name',
+            search_by_keyword: 'Search story pages by keyword. Matches the pages\' keyword arrays and titles. Returns the matching pages.',
+            keyword: 'Search keyword',
+        },
+        results: {
+            noCategory: (label) => `No pages found in category "${label}".`,
+            noDay: (day) => `No pages found for ${day}.`,
+            noRelated: (name) => `No pages found related to "${name}".`,
+            attitudeHistory: (name) => `[How ${name}'s attitude changed]`,
+            relatedPages: '[Related events]',
+            noKeyword: (keyword) => `No pages found for keyword "${keyword}".`,
+            noItem: (name) => `Item "${name}" not found.`,
+            noRelationship: (a, b) => `No relationship recorded between "${a}" and "${b}".`,
+            noItemHistory: (item) => `${item.name}: ${item.status || '(no record)'} (no history)`,
+            holder: (holder) => ` | held by: ${holder}`,
+            significance: (text) => ` (${text})`,
+            unknownTool: 'Unknown tool',
+        },
+    },
+};
+
+function getLangPack() {
+    return LANG_PACKS[getSettings().language] || LANG_PACKS.zh;
+}
+
+// ============================================================
+//  Story Index Formatting (for injection — compact, bounded)
+// ============================================================
+
+/**
+ * Story index sections in injection order. Each section is a list of units (one line, page or
+ * dossier each) plus `render(texts)`; `keep` says which end survives budget trimming.
+ * Timeline, items, attitudes, NPC names, open threads and world state. Dossiers are on-demand via tool calling.
+ * Index sections render bare lines; headings come from the storyIndex template.
+ * @returns {Array<{ key: string, units: Array<{ text: string, fallback?: string }>, keep: 'first'|'last', render: Function }>}
+ */
+function buildStoryIndexSections(data) {
+    const L = getLangPack();
+    const sections = [];
+    const lines = (texts) => texts.join('\n');
+    const toUnits = (texts) => texts.map(text => ({ text }));
+
+    // Timeline (compact, newest entries survive trimming)
+    if (data.timeline.length > 0) {
+        sections.push({
+            key: 'timeline',
+            units: toUnits(renderTimelineText(data.timeline).split('\n')),
+            keep: 'last',
+            render: lines,
+        });
+    }
+
+    // Item index (compact)
+    if (data.items.length > 0) {
+        sections.push({
+            key: 'items',
+            units: toUnits(data.items.map(item => {
+                const holder = item.holder ? L.index.holder(item.holder) : '';
+                return `· ${item.name} | ${item.status || ''}${holder}`;
+            })),
+            keep: 'last',
+            render: lines,
+        });
+    }
+
+    // Known character attitudes
+    const attitudes = (data.knownCharacterAttitudes || []).filter(c => c.attitude);
+    if (attitudes.length > 0) {
+        sections.push({
+            key: 'attitudes',
+            units: toUnits(attitudes.map(c => `· ${c.name}: ${c.attitude}`)),
+            keep: 'first',
+            render: lines,
+        });
+    }
+
+    // NPC character names (dossiers are on-demand)
+    const activeNpcs = data.characters.filter(c => !c.retired);
+    if (activeNpcs.length > 0) {
+        sections.push({
+            key: 'npcs',
+            units: toUnits(activeNpcs.map(c => c.name)),
+            keep: 'last',
+            render: (texts) => texts.join(L.listSep),
+        });
+    }
+
+    // Unresolved threads (most recently touched, bounded)
+    const openThreads = data.threads
+        .filter(t => t.status === 'open')
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(-MAX_INDEX_THREADS);
+    if (openThreads.length > 0) {
+        sections.push({
+            key: 'threads',
+            units: toUnits(openThreads.map(t => {
+                const since = t.dayOpened ? L.index.since(t.dayOpened) : '';
+                return `· [${L.threadKinds[t.kind] || t.kind}] ${t.title}${since}`;
+            })),
+            keep: 'last',
+            render: lines,
+        });
+    }
+
+    // World state (where / when / who, right now)
+    const worldLines = formatWorldStateLines(data.worldState, L);
+    if (worldLines.length > 0) {
+        sections.push({
+            key: 'worldState',
+            units: toUnits(worldLines),
+            keep: 'first',
+            render: lines,
+        });
+    }
+
+    return sections;
+}
+
+/**
+ * Render the storyIndex template from rendered section texts; missing sections are empty,
+ * so their {{#if}} blocks (headings included) drop out.
+ * @param {Object<string, string>} sectionTexts Keyed by section key
+ */
+function renderStoryIndex(data, sectionTexts, template = getPromptTemplate('storyIndex')) {
+    return renderTemplateText(template, {
+        timeline: '',
+        items: '',
+        attitudes: '',
+        npcs: '',
+        threads: '',
+        worldState: '',
+        ...sectionTexts,
+        worldStateDay: data.worldState?.day || '',
+        userName: getContext().name1 || '{{user}}',
+    });
+}
+
+/**
+ * Format the full (untrimmed) story index, e.g. for prompts and /mm-index.
+ * Injection goes through fitInjectionBudget instead.
+ */
+function formatStoryIndex(data, template) {
+    const texts = Object.fromEntries(buildStoryIndexSections(data).map(sec => [sec.key, sec.render(sec.units.map(u => u.text))]));
+    return renderStoryIndex(data, texts, template);
+}
+
+/**
+ * "Label: value" lines for the non-empty world state fields.
+ */
+function formatWorldStateLines(ws, L) {
+    if (!ws) return [];
+    const lines = [];
+    for (const field of ['location', 'timeOfDay', 'weather', 'present', 'conditions']) {
+        const value = Array.isArray(ws[field]) ? ws[field].join(L.listSep) : ws[field];
+        if (value) lines.push(`· ${L.index[field]}: ${value}`);
+    }
+    return lines;
+}
+
+/**
+ * Recalled pages and dossiers as budget sections (same shape as buildStoryIndexSections).
+ * Pages keep retrieval order; each page is one pass of the flashback template's {{#each pages}}
+ * block, and a page that doesn't fit whole falls back to the same block rendered without content.
+ * @param {{ flashback?: string, dossier?: string }} [templates] Template text overrides (editor preview)
+ */
+function buildRecallSections(retrieved, templates = {}) {
+    const L = getLangPack();
+    const vars = { userName: getContext().name1 || '{{user}}' };
+    const sections = [];
+    if (retrieved.pages.length > 0) {
+        const { before, body, after } = splitFlashbackTemplate(templates.flashback ?? getPromptTemplate('flashback'));
+        sections.push({
+            key: 'pages',
+            units: retrieved.pages.map(page => {
+                const pageVars = { ...vars, ...buildFlashbackPageVars(page, L) };
+                return {
+                    text: renderTemplateNodes(body, pageVars),
+                    fallback: renderTemplateNodes(body, { ...pageVars, content: '' }),
+                };
+            }),
+            keep: 'first',
+            // The omission note gets a line of its own
+            render: (texts) => renderTemplateNodes(before, vars)
+                + texts.map(t => (t.endsWith('\n') ? t : `${t}\n`)).join('')
+                + renderTemplateNodes(after, vars),
+        });
+    }
+    if (retrieved.characters.length > 0) {
+        const template = templates.dossier ?? getPromptTemplate('dossier');
+        sections.push({
+            key: 'dossiers',
+            units: retrieved.characters.map(c => ({ text: formatDossier(c, template) })),
+            keep: 'first',
+            render: (texts) => texts.join('\n\n'),
+        });
+    }
+    return sections;
+}
+
+/**
+ * Split the flashback template around its top-level {{#each pages}} block so every page can be
+ * budgeted on its own. Without a top-level block, each page renders the whole template.
+ */
+function splitFlashbackTemplate(template) {
+    const { nodes } = parseTemplate(template);
+    const at = nodes.findIndex(n => n.block === 'each' && n.key === 'pages');
+    if (at < 0) return { before: [], body: nodes, after: [] };
+    return { before: nodes.slice(0, at), body: nodes[at].body, after: nodes.slice(at + 1) };
+}
+
+/**
+ * Per-page placeholder values for the flashback template.
+ */
+function buildFlashbackPageVars(page, L) {
+    return {
+        id: page.id,
+        title: page.title || '',
+        day: page.day || '',
+        content: page.content || '',
+        categories: (page.categories || []).map(c => L.categories[c] || c).join(L.listSep),
+        keywords: (page.keywords || []).join(L.listSep),
+        characters: (page.characters || []).join(L.listSep),
+        significance: page.significance || '',
+    };
+}
+
+/**
+ * Format recalled pages in full (no budget), e.g. for the template preview.
+ */
+function formatFlashback(pages, template) {
+    const [section] = buildRecallSections({ pages, characters: [] }, { flashback: template });
+    return section ? section.render(section.units.map(u => u.text)) : '';
+}
+
+/**
+ * Fill sections in INJECTION_PRIORITY order within `budget` tokens (0 = unlimited), estimated
+ * with ST's tokenizer. A section that doesn't fit is cut from its far end (oldest timeline
+ * entries, lowest-ranked pages) and ends with an "N omitted" note; a section with no room is dropped.
+ * `whole` lists, per section, the indexes of the units that went in unshortened.
+ * @returns {Promise<{ texts: Object<string, string>, tokens: Object<string, number>, whole: Object<string, number[]>, trimmed: string[], total: number }>}
+ */
+async function fitInjectionBudget(sections, budget, reserved = 0) {
+    const L = getLangPack();
+    const limit = budget > 0 ? budget : Infinity;
+    const result = { texts: {}, tokens: {}, whole: {}, trimmed: [], total: reserved };
+    const rank = (key) => INJECTION_PRIORITY.indexOf(key);
+
+    for (const section of [...sections].sort((a, b) => rank(a.key) - rank(b.key))) {
+        // Usual case: the whole section fits, one count is enough
+        const fullText = section.render(section.units.map(u => u.text));
+        const fullCost = await countTokensCached(fullText);
+        if (result.total + fullCost <= limit) {
+            result.whole[section.key] = section.units.map((_, i) => i);
+            result.texts[section.key] = fullText;
+            result.tokens[section.key] = fullCost;
+            result.total += fullCost;
+            continue;
+        }
+
+        const units = section.keep === 'last' ? [...section.units].reverse() : section.units;
+        const kept = [];
+        const keptTokens = [];
+        const keptWhole = [];
+        let cost = await countTokensCached(section.render([]));
+        let shortened = false;
+
+        for (const unit of units) {
+            const tokens = await countTokensCached(unit.text);
+            if (result.total + cost + tokens <= limit) {
+                kept.push(unit.text);
+                keptTokens.push(tokens);
+                keptWhole.push(true);
+                cost += tokens;
+                continue;
+            }
+            const short = unit.fallback ? await countTokensCached(unit.fallback) : Infinity;
+            if (result.total + cost + short <= limit) {
+                kept.push(unit.fallback);
+                keptTokens.push(short);
+                keptWhole.push(false);
+                cost += short;
+                shortened = true;
+                continue;
+            }
+            break;
+        }
+
+        const dropped = kept.length < units.length;
+        if (dropped) {
+            // Make room for the omission note
+            const noteTokens = await countTokensCached(L.budget.omitted(units.length));
+            while (kept.length > 0 && result.total + cost + noteTokens > limit) {
+                kept.pop();
+                keptWhole.pop();
+                cost -= keptTokens.pop();
+            }
+            if (kept.length === 0) {
+                result.trimmed.push(section.key);
+                continue;
+            }
+            kept.push(L.budget.omitted(units.length - kept.length));
+            cost += noteTokens;
+        }
+        if (dropped || shortened) result.trimmed.push(section.key);
+        result.whole[section.key] = keptWhole
+            .map((whole, i) => (whole ? (section.keep === 'last' ? units.length - 1 - i : i) : -1))
+            .filter(i => i >= 0)
+            .sort((a, b) => a - b);
+
+        if (section.keep === 'last') kept.reverse();
+        result.texts[section.key] = section.render(kept);
+        result.tokens[section.key] = cost;
+        result.total += cost;
+    }
+    return result;
+}
+
+/**
+ * Format character dossier for injection when character is relevant.
+ */
+function formatDossier(character, template = getPromptTemplate('dossier')) {
+    const L = getLangPack();
+    return renderTemplateText(template, {
+        userName: getContext().name1 || '{{user}}',
+        name: character.name,
+        aliases: (character.aliases || []).join(L.listSep),
+        appearance: character.appearance || '',
+        personality: character.personality || '',
+        attitude: character.attitude || '',
+    });
+}
+
+// ============================================================
+//  Prompt Templates (user-editable, {{placeholder}} syntax)
+// ============================================================
+
+/**
+ * Placeholders each template understands. Required ones must stay in a custom template,
+ * otherwise the prompt would silently lose data the parser depends on.
+ * Unknown {{macros}} (e.g. {{user}}, {{char}}) are left untouched.
+ * `lists` are the placeholders used as {{#each name}} blocks; the injection templates
+ * (storyIndex, flashback, dossier) shape what goes into the chat prompt rather than LLM calls.
+ * `version` is bumped when the output a template must ask for changes; overrides saved
+ * against an older version fall back to the default.
+ */
+const PROMPT_TEMPLATE_SPECS = {
+    extraction: {
+        label: '记忆提取',
+        version: 2,
+        required: ['newMessages', 'timeline', 'npcDossiers'],
+        optional: ['userName', 'knownCharacters', 'knownAttitudes', 'items', 'pageCatalog', 'openThreads', 'relationships', 'worldState', 'timeFormat', 'timeExample'],
+    },
+    initExtraction: {
+        label: '批量初始化',
+        version: 2,
+        required: ['newMessages', 'timeline', 'npcDossiers'],
+        optional: ['userName', 'knownCharacters', 'knownAttitudes', 'items', 'pageCatalog', 'openThreads', 'relationships', 'worldState', 'timeFormat', 'timeExample'],
+    },
+    pageCompression: {
+        label: '故事页压缩',
+        version: 1,
+        required: ['content'],
+        optional: ['day', 'title'],
+    },
+    timelineCompression: {
+        label: '时间线压缩',
+        version: 1,
+        required: ['timeline', 'maxEntries'],
+        optional: ['timeFormat'],
+    },
+    pageMerge: {
+        label: '重复故事页合并',
+        version: 1,
+        required: ['existingPage', 'newPage'],
+        optional: [],
+    },
+    retrieval: {
+        label: '记忆检索代理',
+        version: 1,
+        required: ['recentMessages', 'pageCatalog'],
+        optional: ['storyIndex', 'characterCatalog', 'maxPages', 'embeddingHint'],
+    },
+    storyIndex: {
+        label: '注入: 故事索引',
+        version: 1,
+        required: [],
+        optional: ['timeline', 'items', 'attitudes', 'npcs', 'threads', 'worldState', 'worldStateDay', 'userName'],
+    },
+    flashback: {
+        label: '注入: 记忆闪回',
+        version: 1,
+        required: ['pages'],
+        optional: ['title', 'day', 'content', 'categories', 'keywords', 'characters', 'significance', 'id', 'userName'],
+        lists: ['pages'],
+    },
+    dossier: {
+        label: '注入: 角色档案',
+        version: 1,
+        required: ['name'],
+        optional: ['aliases', 'appearance', 'personality', 'attitude', 'userName'],
+    },
+};
+
+const PROMPT_PACK_TYPE = 'mm-prompt-pack';
+// 2: templates are { text, version } instead of plain text
+const PROMPT_PACK_VERSION = 2;
+const PROMPT_PLACEHOLDER_RE = /\{\{(\w+)\}\}/g;
+// {{#if name}} / {{#each name}} | {{else}} / {{/if}} / {{/each}} | {{name}}
+const TEMPLATE_TAG_RE = /\{\{(?:#(if|each) (\w+)|(else|\/if|\/each)|(\w+))\}\}/g;
+
+const DEFAULT_PROMPT_TEMPLATES_ZH = {
+    extraction: `[OOC: 停止角色扮演。你现在是剧情记忆管理系统。
+## 任务
+
+### 1. 新增时间线条目
+只输出本批新消息带来的新时间线条目，放入 newTimelineEntries 数组（已有条目不要重复输出，也不会被删除）。
+每个条目: day, text, pages
+- day: 时间，格式: {{timeFormat}}
+- text: 短句，不超过30字，像书的目录一样简洁，只写关键转折
+- pages: 该条目对应的新故事页 title 数组（可空）
+- 示例: {"day": "{{timeExample}}", "text": "纽约初遇，自由女神像约会"}
+
+### 2. 更新角色信息
+分两类输出：
+
+**已知角色**（{{knownCharacters}}）— 只更新态度：
+  输出到 knownCharacterAttitudes 数组，每项: {name, attitude}
+  attitude: 该角色对主角（{{userName}}）的态度/关系变化轨迹
+
+**NPC角色**（不含主角"{{userName}}"、不含已知角色）：
+  输出到 newCharacters 数组，每项: {name, aliases, appearance, personality, attitude}
+  只输出本批新登场、或外貌/性格/态度有变化的NPC；没有变化的NPC不必输出（不会被删除）
+  已有NPC用档案中的原名；新出现的称呼/别名写入 aliases
+
+### 3. 物品变动
+只输出本批消息中状态发生变化的重要物品（获得、转手、使用、损坏、遗失等），输出到 itemEvents 数组。
+每个事件: name, status（变化后的状态）, holder（当前持有者，可空）, day（发生的时间）,
+  page（引起变化的新故事页的 title，可空）, significance（物品的意义，首次出现时填写）
+没有变化的物品不要输出（不会被删除）。
+
+### 4. 提取故事页（Story Pages）
+从消息中提取值得记录的事件。每个页面是一个完整事件的因果记录。
+不仅限于重大转折，任何改变事件走向、揭示关键信息、推动关系变化的事件都应记录。
+日常噪音（补妆、移动、整理仪容等不影响剧情的动作）不记录。
+
+每个页面包含:
+- title: 短标题（4-8字）
+- day: 事件发生的时间（格式同时间线，跨越多个时间点的事件可写范围）
+- content: 以事件为单位，记录因果链（50-150字）。规则：
+  · 写"为什么"而非仅写"做了什么"（因果关系优先）
+    ❌ "她典当了项链，去买了衣服"
+    ✅ "她卖掉母亲留下的项链，换钱为他买面试穿的西装"
+  · 按事件组织，不按分钟组织。一个事件=起因→经过→结果
+    ❌ "08:14 A摔门 → 08:17 A哭泣 → 08:22 A喊哥哥"
+    ✅ "[清晨] A说出全名后情绪崩溃离开，B追出安抚，C目睹后放弃审讯姿态"
+  · 可记录1-2句决定事件走向的关键对话（用概括语言，禁止大段引用原文台词）
+  · 使用时间段（清晨/上午/下午/傍晚/深夜），禁止精确到分钟
+  · 不要文学修饰和感官细节渲染
+- keywords: 用于检索的关键词数组（3-8个，含角色名、地点、物品、情感关键词）
+- categories: 语义分类标签数组，从以下选择1-3个:
+    "emotional"(情感事件), "relationship"(关系变化),
+    "intimate"(亲密互动), "promise"(承诺/约定),
+    "conflict"(冲突/争执), "discovery"(发现/揭秘),
+    "turning_point"(重大转折), "daily"(日常片段)
+- significance: "high"（重要转折/关系变化）或 "medium"（值得记住但非关键）
+- sourceMessages: 该事件来源的消息编号数组（即消息前的 #编号），只列出直接描述该事件的消息
+
+如果没有值得记录的事件，newPages为空数组。
+
+### 5. 修订已有故事页
+如果新内容让已有故事页过时或不再准确（承诺已兑现、秘密被揭开、冲突已化解等）：
+- updatedPages: 需要修订的已有页面，每项: id（目录中的页面ID）, content（修订后的完整内容，可省略）, addKeywords（追加的关键词数组，可省略）, reason（修订原因）
+- supersededPages: 已被新故事页完全取代的旧页面，每项: id, by（取代它的新故事页 title，可空）, reason
+只能引用「已有故事页目录」中的ID。没有需要修订的页面时输出空数组。
+
+### 6. 线索追踪（承诺、伏笔、未解决的冲突、谜团）
+输出到 threadUpdates 数组，每项: title, kind, status, day, pages, note
+- 本批新出现、之后需要回收的线索: status 为 "open"，day 为出现的时间
+- 「未解决线索」中的已有线索被兑现/揭开/化解: status 为 "resolved"；被违背/放弃/落空: status 为 "broken"。day 为结束的时间，title 与已有线索完全一致
+- kind: "promise"(承诺/约定), "foreshadowing"(伏笔), "conflict"(未解决的冲突), "mystery"(谜团)
+- pages: 相关的新故事页 title 数组（可空）；note: 一句话说明现状（可空）
+没有变化时输出空数组。
+
+### 7. 角色之间的关系
+只输出本批新揭示或发生变化的角色关系（NPC之间、已知角色之间、NPC与已知角色之间），输出到 relationshipEvents 数组。
+每项: from, to（角色名，描述 from 与 to 的关系）, type（关系类型短词，如 兄妹、宿敌、秘密恋人、上下级）, description（一句话说明现状）, day（时间）, page（引起变化的新故事页 title，可空）
+对称的关系（兄妹、同盟等）只输出一个方向。角色对主角"{{userName}}"的态度已在第2部分处理，不要重复输出。没有变化时输出空数组。
+
+### 8. 当前状态
+输出 worldState 对象，描述本批内容结束时的状态:
+- location: 当前所在地点; timeOfDay: 故事内的时间段（清晨/上午/下午/傍晚/深夜等）; weather: 天气（不明确时留空）
+- present: 当前在场的角色名数组（含主角）
+- conditions: 仍在持续的状况数组（受伤、生病、被通缉、醉酒等），已结束的不要再列出
+没有变化的字段可省略，会沿用「当前状态」中的值。
+
+现在开始，请分析以下新消息，完成记忆提取。
+## 当前故事索引
+
+### 剧情时间线
+{{timeline}}
+
+### 已知角色态度（当前）
+{{knownAttitudes}}
+
+### NPC角色档案（当前）
+{{npcDossiers}}
+
+### 重要物品（当前）
+{{items}}
+
+### 当前状态（上一批结束时）
+{{worldState}}
+
+### 角色关系（当前，仅列出本批消息涉及的角色）
+{{relationships}}
+
+### 未解决线索（当前）
+{{openThreads}}
+
+### 已有故事页目录（最近）
+{{pageCatalog}}
+
+## 新消息内容
+{{newMessages}}
+
+
+
+## 输出格式
+严格按以下JSON格式输出，用markdown代码块包裹：
+
+\`\`\`json
+{
+  "newTimelineEntries": [
+    {"day": "{{timeExample}}", "text": "短句", "pages": ["..."]}
+  ],
+  "knownCharacterAttitudes": [
+    {"name": "...", "attitude": "..."}
+  ],
+  "newCharacters": [
+    {"name": "...", "aliases": ["..."], "appearance": "...", "personality": "...", "attitude": "..."}
+  ],
+  "itemEvents": [
+    {"name": "...", "status": "...", "holder": "...", "day": "{{timeExample}}", "page": "...", "significance": "..."}
+  ],
+  "newPages": [
+    {
+      "title": "...",
+      "day": "{{timeExample}}",
+      "content": "...",
+      "keywords": ["...", "..."],
+      "categories": ["emotional", "relationship"],
+      "significance": "high",
+      "sourceMessages": [12, 13]
+    }
+  ],
+  "updatedPages": [
+    {"id": "pg_...", "content": "...", "addKeywords": ["..."], "reason": "..."}
+  ],
+  "supersededPages": [
+    {"id": "pg_...", "by": "...", "reason": "..."}
+  ],
+  "threadUpdates": [
+    {"title": "...", "kind": "promise", "status": "open", "day": "{{timeExample}}", "pages": ["..."], "note": "..."}
+  ],
+  "relationshipEvents": [
+    {"from": "...", "to": "...", "type": "...", "description": "...", "day": "{{timeExample}}", "page": "..."}
+  ],
+  "worldState": {"location": "...", "timeOfDay": "...", "present": ["..."], "weather": "...", "conditions": ["..."]}
+}
+\`\`\`
+
+注意：
+- 只输出JSON代码块，不要有其他文字
+- 角色名使用实际名字，不用{{char}}或{{user}}
+- knownCharacterAttitudes 只含已知角色（{{knownCharacters}}）
+- newCharacters 不含主角"{{userName}}"和已知角色
+- itemEvents 只含本批有变化的物品
+- newPages仅包含本批消息中提取的新页面
+- categories从以下选1-3个: emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
+- newTimelineEntries 只含新增条目，每条不超过30字，像目录一样简洁
+]`,
+    initExtraction: `[OOC: 停止角色扮演。你现在是剧情记忆管理系统。以下是你的任务要求
+
+    ## 剧情记忆管理任务
+
+### 1. 新增时间线条目
+只输出本批内容带来的新时间线条目，放入 newTimelineEntries 数组（已有条目不要重复输出）。
+每个条目: day（时间，格式: {{timeFormat}}）, text（不超过30字的短句）, pages（对应的新故事页 title 数组，可空）
+- 示例: {"day": "{{timeExample}}", "text": "纽约初遇，自由女神像约会"}
+
+### 2. 更新角色信息
+分两类输出：
+
+**已知角色**（{{knownCharacters}}）— 只更新态度：
+  输出到 knownCharacterAttitudes 数组，每项: {name, attitude}
+  attitude: 该角色对主角（{{userName}}）的态度/关系变化轨迹
+  禁止忽略此项！
+
+**NPC角色**（不含主角"{{userName}}"、不含已知角色）：
+  输出到 newCharacters 数组，每项: {name, aliases, appearance, personality, attitude}
+  只输出本批新登场、或信息有变化的NPC；已有NPC用档案中的原名，新称呼写入 aliases
+
+### 3. 物品变动
+只输出本批内容中状态发生变化的重要物品（获得、转手、使用、损坏、遗失等），输出到 itemEvents 数组。
+每个事件: name, status, holder（可空）, day, page（引起变化的新故事页 title，可空）, significance
+
+### 4. 提取故事页（重要！）
+这是初始化流程。为本批内容中所有值得记录的事件创建故事页。
+即使这些事件已经反映在时间线中，仍然需要创建对应的故事页。
+任何改变事件走向、揭示关键信息、推动关系变化的事件都应有一页。
+日常噪音（补妆、移动、整理仪容等不影响剧情的动作）不记录。
+
+每页包含:
+- title: 短标题（4-8字）
+- day: 事件发生的时间（格式同时间线，跨越多个时间点的事件可写范围）
+- content: 以事件为单位，记录因果链（50-150字）。规则：
+  · 写"为什么"而非仅写"做了什么"（因果关系优先）
+    ❌ "她典当了项链，去买了衣服"
+    ✅ "她卖掉母亲留下的项链，换钱为他买面试穿的西装"
+  · 按事件组织，不按分钟组织。一个事件=起因→经过→结果
+  · 可记录1-2句决定事件走向的关键对话（概括语言，禁止大段引用原文台词）
+  · 使用时间段（清晨/上午/下午/傍晚/深夜），禁止精确到分钟
+  · 不要文学修饰和感官细节渲染
+- keywords: 关键词数组（3-8个）
+- categories: 语义分类标签数组，从以下选择1-3个:
+    "emotional"(情感事件), "relationship"(关系变化),
+    "intimate"(亲密互动), "promise"(承诺/约定),
+    "conflict"(冲突/争执), "discovery"(发现/揭秘),
+    "turning_point"(重大转折), "daily"(日常片段)
+- significance: "high" 或 "medium"
+- sourceMessages: 该事件来源的消息编号数组（即消息前的 #编号）；世界书内容没有编号，留空数组
+
+### 5. 修订已有故事页
+如果新内容让已有故事页过时或不再准确（承诺已兑现、秘密被揭开、冲突已化解等）：
+- updatedPages: 需要修订的已有页面，每项: id（目录中的页面ID）, content（修订后的完整内容，可省略）, addKeywords（追加的关键词数组，可省略）, reason（修订原因）
+- supersededPages: 已被新故事页完全取代的旧页面，每项: id, by（取代它的新故事页 title，可空）, reason
+只能引用「已有故事页目录」中的ID。没有需要修订的页面时输出空数组。
+
+### 6. 线索追踪（承诺、伏笔、未解决的冲突、谜团）
+输出到 threadUpdates 数组，每项: title, kind, status, day, pages, note
+- 本批新出现、之后需要回收的线索: status 为 "open"，day 为出现的时间
+- 「未解决线索」中的已有线索被兑现/揭开/化解: status 为 "resolved"；被违背/放弃/落空: status 为 "broken"。day 为结束的时间，title 与已有线索完全一致
+- kind: "promise"(承诺/约定), "foreshadowing"(伏笔), "conflict"(未解决的冲突), "mystery"(谜团)
+- pages: 相关的新故事页 title 数组（可空）；note: 一句话说明现状（可空）
+没有变化时输出空数组。
+
+### 7. 角色之间的关系
+只输出本批新揭示或发生变化的角色关系（NPC之间、已知角色之间、NPC与已知角色之间），输出到 relationshipEvents 数组。
+每项: from, to（角色名，描述 from 与 to 的关系）, type（关系类型短词，如 兄妹、宿敌、秘密恋人、上下级）, description（一句话说明现状）, day（时间）, page（引起变化的新故事页 title，可空）
+对称的关系（兄妹、同盟等）只输出一个方向。角色对主角"{{userName}}"的态度已在第2部分处理，不要重复输出。没有变化时输出空数组。
+
+### 8. 当前状态
+输出 worldState 对象，描述本批内容结束时的状态:
+- location: 当前所在地点; timeOfDay: 故事内的时间段（清晨/上午/下午/傍晚/深夜等）; weather: 天气（不明确时留空）
+- present: 当前在场的角色名数组（含主角）
+- conditions: 仍在持续的状况数组（受伤、生病、被通缉、醉酒等），已结束的不要再列出
+没有变化的字段可省略，会沿用「当前状态」中的值。
+
+
+注意：
+- 只输出JSON代码块，不要有其他文字
+- 角色名使用实际名字
+- knownCharacterAttitudes 只含已知角色（{{knownCharacters}}）
+- newCharacters 不含主角"{{userName}}"和已知角色
+- itemEvents 只含本批有变化的物品
+- newPages要为每个值得记录的事件都创建，不要遗漏
+- categories从以下选1-3个: emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
+- newTimelineEntries 只含新增条目，每条不超过30字，像目录一样简洁
+
+---
+以下是本批内容：
+## 当前故事索引（由之前的批次积累）
+
+### 剧情时间线
+{{timeline}}
+
+### 已知角色态度（当前）
+{{knownAttitudes}}
+
+### NPC角色档案（当前）
+{{npcDossiers}}
+
+### 重要物品（当前）
+{{items}}
+
+### 当前状态（上一批结束时）
+{{worldState}}
+
+### 角色关系（当前，仅列出本批消息涉及的角色）
+{{relationships}}
+
+### 未解决线索（当前）
+{{openThreads}}
+
+### 已有故事页目录（最近）
+{{pageCatalog}}
+
+## 本批内容
+{{newMessages}}
+
+# 现在开始按照输出格式输出
+## 输出格式
+严格按JSON格式输出，用markdown代码块包裹：
+
+\`\`\`json
+{
+  "newTimelineEntries": [
+    {"day": "{{timeExample}}", "text": "短句", "pages": ["..."]}
+  ],
+  "knownCharacterAttitudes": [
+    {"name": "...", "attitude": "..."}
+  ],
+  "newCharacters": [
+    {"name": "...", "aliases": ["..."], "appearance": "...", "personality": "...", "attitude": "..."}
+  ],
+  "itemEvents": [
+    {"name": "...", "status": "...", "holder": "...", "day": "{{timeExample}}", "page": "...", "significance": "..."}
+  ],
+  "newPages": [
+    {
+      "title": "...",
+      "day": "{{timeExample}}",
+      "content": "...",
+      "keywords": ["...", "..."],
+      "categories": ["emotional", "relationship"],
+      "significance": "high",
+      "sourceMessages": [12, 13]
+    }
+  ],
+  "updatedPages": [
+    {"id": "pg_...", "content": "...", "addKeywords": ["..."], "reason": "..."}
+  ],
+  "supersededPages": [
+    {"id": "pg_...", "by": "...", "reason": "..."}
+  ],
+  "threadUpdates": [
+    {"title": "...", "kind": "promise", "status": "open", "day": "{{timeExample}}", "pages": ["..."], "note": "..."}
+  ],
+  "relationshipEvents": [
+    {"from": "...", "to": "...", "type": "...", "description": "...", "day": "{{timeExample}}", "page": "..."}
+  ],
+  "worldState": {"location": "...", "timeOfDay": "...", "present": ["..."], "weather": "...", "conditions": ["..."]}
+}
+\`\`\`
+]`,
+    pageCompression: `[OOC: 将以下故事事件压缩为30-50字的精炼摘要。保留：谁、做了什么、为什么、结果如何。去除感官细节和修辞。
+
+原文 ({{day}} - {{title}}):
+{{content}}
+
+要求:
+- 输出纯文本，不要JSON不要代码块
+- 30-50字
+- 保留因果关系和关键角色
+- 不要丢失核心事实
+]`,
+    timelineCompression: `[OOC: 以下是剧情时间线中较早的条目，条目过多，请合并压缩。
+
+## 待压缩的时间线条目
+{{timeline}}
+
+## 压缩规则
+1. 相邻的连续时间合并为范围 "起-止: 综合概括"
+2. 合并后的条目用不超过30字的短句概括该段时期的核心事件
+3. 压缩后总行数不超过 {{maxEntries}} 行
+4. 不丢失任何重要转折点或关系变化
+5. 每行格式 "时间: 短句" 或 "起-止: 短句"，像书的目录一样简洁。时间格式: {{timeFormat}}
+
+## 输出
+只输出压缩后的时间线文本，每行一条。不要JSON，不要代码块，不要解释。
+]`,
+    retrieval: `你是记忆检索代理。你的任务是模拟人类记忆联想，为AI的下一次回复提供必要的历史记忆。
+
+## 故事索引（当前剧情全貌）
+{{storyIndex}}
+
+## 可检索的故事页{{embeddingHint}}
+{{pageCatalog}}
+
+## 可检索的NPC角色档案
+{{characterCatalog}}
+
+## 当前对话语境（最近几条消息）
+{{recentMessages}}
+
+## 检索策略
+像人类回忆一样思考：
+- 当前话题涉及什么过去的事？→ 用 recall_story_page 直接取
+- 提到某个人？→ 用 get_relationship_history 找相关事件
+- 情绪相关的场景？→ 用 search_pages_by_category("emotional")
+- 某天发生了什么？→ 用 recall_pages_by_day("D5")
+- 模糊印象？→ 用 search_by_keyword 搜索
+- 问到某物品的来历/下落？→ 用 get_item_history
+- 两个角色之间是什么关系？→ 用 get_relationship_between
+
+优先级: 直接相关 > 情感共鸣 > 背景补充
+最终用 recall_story_page 取回最多 {{maxPages}} 个页面的详细内容。
+如果不需要回忆任何事件，则不调用工具。`,
+    pageMerge: `[OOC: 下面两个故事页记录的是同一事件（通常是同一场景跨越了两次提取）。请把它们合并为一个故事页。
+
+## 已有故事页
+{{existingPage}}
+
+## 新故事页
+{{newPage}}
+
+## 合并规则
+- 保留两者的全部关键事实和因果关系，去掉重复的叙述
+- content 仍按事件组织（起因→经过→结果），50-150字
+- title 4-8字，可以沿用已有标题
+- keywords 合并去重，3-8个
+- categories 从 emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily 中选1-3个
+- significance: "high" 或 "medium"
+
+## 输出格式
+只输出JSON代码块，不要有其他文字：
+\`\`\`json
+{"title": "...", "content": "...", "keywords": ["..."], "categories": ["..."], "significance": "high"}
+\`\`\`
+]`,
+
+    storyIndex: `[故事索引]
+{{#if timeline}}一、剧情时间线
+{{timeline}}
+{{/if}}{{#if items}}
+二、物品
+{{items}}
+{{/if}}{{#if attitudes}}
+三、已有角色对{{userName}}态度/关系
+{{attitudes}}
+{{/if}}{{#if npcs}}
+四、已登场NPC: {{npcs}}
+{{/if}}{{#if threads}}
+五、未解决线索
+{{threads}}
+{{/if}}{{#if worldState}}
+六、当前状态{{#if worldStateDay}} ({{worldStateDay}}){{/if}}
+{{worldState}}
+{{/if}}[/故事索引]`,
+
+    flashback: `[记忆闪回]
+{{#each pages}}回忆起了……「{{title}}」({{day}})
+{{#if content}}{{content}}
+
+{{/if}}{{/each}}[/记忆闪回]`,
+
+    dossier: `[角色档案: {{name}}]
+{{#if appearance}}外貌: {{appearance}}
+{{/if}}{{#if personality}}性格: {{personality}}
+{{/if}}{{#if attitude}}对主角态度: {{attitude}}
+{{/if}}[/角色档案]`,
+};
+
+const DEFAULT_PROMPT_TEMPLATES_EN = {
+    extraction: `[OOC: Stop roleplaying. You are now the story memory manager.
+## Tasks
+
+### 1. New timeline entries
+Output only the timeline entries that are new in this batch of messages, in the newTimelineEntries array (do not repeat existing entries; they are never deleted).
+Each entry: day, text, pages
+- day: the time, format: {{timeFormat}}
+- text: a short phrase of at most 15 words, concise like a table of contents, key turning points only
+- pages: titles of the new story pages this entry belongs to (may be empty)
+- Example: {"day": "{{timeExample}}", "text": "First meeting in New York, date at the Statue of Liberty"}
+
+### 2. Character updates
+Output two groups:
+
+**Known characters** ({{knownCharacters}}) — attitude only:
+  Output to the knownCharacterAttitudes array, each item: {name, attitude}
+  attitude: how this character's attitude / relationship toward the protagonist ({{userName}}) has developed
+
+**NPCs** (not the protagonist "{{userName}}", not the known characters):
+  Output to the newCharacters array, each item: {name, aliases, appearance, personality, attitude}
+  Only output NPCs who first appear in this batch, or whose appearance / personality / attitude changed; unchanged NPCs may be left out (they are never deleted)
+  Use the dossier name for existing NPCs; put new nicknames / aliases in aliases
+
+### 3. Item changes
+Only output important items whose state changed in this batch (obtained, handed over, used, damaged, lost, ...), in the itemEvents array.
+Each event: name, status (state after the change), holder (current holder, may be empty), day (when it happened),
+  page (title of the new story page that caused the change, may be empty), significance (what the item means, fill in on first appearance)
+Do not output unchanged items (they are never deleted).
+
+### 4. Story pages
+Extract the events worth remembering from the messages. Each page is the cause-and-effect record of one complete event.
+Not only major turning points: any event that changes the course of the story, reveals key information or moves a relationship deserves a page.
+Everyday noise (fixing makeup, walking around, tidying up — anything that doesn't affect the plot) is not recorded.
+
+Each page contains:
+- title: a short title (2-6 words)
+- day: when the event happened (same format as the timeline; an event spanning several points in time may use a range)
+- content: one event, recorded as a causal chain (40-120 words). Rules:
+  · Write "why", not just "what" (causality first)
+    ❌ "She pawned the necklace and bought clothes"
+    ✅ "She sold her late mother's necklace to buy him a suit for the interview"
+  · Organize by event, not by minute. One event = cause → development → outcome
+    ❌ "08:14 A slams the door → 08:17 A cries → 08:22 A calls for her brother"
+    ✅ "[Early morning] A breaks down after revealing her full name and runs out; B follows to comfort her; C sees this and drops the interrogation"
+  · You may record 1-2 lines of dialogue that decided the outcome (paraphrased; never quote long passages)
+  · Use periods of the day (early morning / morning / afternoon / evening / late night), never exact minutes
+  · No literary embellishment or sensory detail
+- keywords: array of search keywords (3-8, including character names, places, items, emotions)
+- categories: array of 1-3 semantic tags chosen from:
+    "emotional" (emotional event), "relationship" (relationship change),
+    "intimate" (intimate interaction), "promise" (promise / agreement),
+    "conflict" (conflict / argument), "discovery" (discovery / revelation),
+    "turning_point" (major turning point), "daily" (everyday moment)
+- significance: "high" (important turning point / relationship change) or "medium" (worth remembering but not key)
+- sourceMessages: array of the message numbers (the #number before each message) the event comes from; list only messages that directly describe the event
+
+If nothing is worth recording, newPages is an empty array.
+
+### 5. Amend existing story pages
+If the new content makes an existing story page outdated or wrong (a promise was kept, a secret came out, a conflict was resolved, ...):
+- updatedPages: existing pages to amend, each item: id (page ID from the catalog), content (the full amended content, optional), addKeywords (extra keywords, optional), reason (why it was amended)
+- supersededPages: old pages entirely replaced by a new story page, each item: id, by (title of the new story page replacing it, may be empty), reason
+Only use IDs from the "Existing story pages" catalog. Output empty arrays when nothing needs amending.
+
+### 6. Thread tracking (promises, foreshadowing, unresolved conflicts, mysteries)
+Output to the threadUpdates array, each item: title, kind, status, day, pages, note
+- A new loose end introduced in this batch that should be paid off later: status "open", day is when it appeared
+- An existing thread from "Unresolved threads" that was kept / revealed / settled: status "resolved"; broken / abandoned / failed: status "broken". day is when it ended, and title must match the existing thread exactly
+- kind: "promise", "foreshadowing", "conflict" (unresolved conflict), "mystery"
+- pages: titles of related new story pages (may be empty); note: one sentence on where it stands (optional)
+Output an empty array when nothing changed.
+
+### 7. Relationships between characters
+Output only relationships revealed or changed in this batch (between NPCs, between known characters, or between an NPC and a known character) to the relationshipEvents array.
+Each item: from, to (character names; describes how from relates to to), type (short relationship type, e.g. siblings, rivals, secret lovers, superior), description (one sentence on where it stands), day (time), page (title of the new story page that caused the change, may be empty)
+Output symmetric relationships (siblings, allies, ...) in one direction only. Attitudes toward the protagonist "{{userName}}" are handled in section 2; don't repeat them here. Output an empty array when nothing changed.
+
+### 8. Current state
+Output a worldState object describing the state at the end of this batch:
+- location: where the scene currently is; timeOfDay: in-story time of day (early morning / morning / afternoon / evening / late night, ...); weather: the weather (leave empty if unclear)
+- present: array of the characters currently present (including the protagonist)
+- conditions: array of ongoing conditions (injured, sick, wanted, drunk, ...); drop the ones that are over
+Fields that didn't change may be omitted; the values in "Current state" are kept.
+
+Now analyse the new messages below and perform the memory extraction.
+## Current story index
+
+### Timeline
+{{timeline}}
+
+### Known character attitudes (current)
+{{knownAttitudes}}
+
+### NPC dossiers (current)
+{{npcDossiers}}
+
+### Important items (current)
+{{items}}
+
+### Current state (end of the previous batch)
+{{worldState}}
+
+### Relationships (current, only characters these messages mention)
+{{relationships}}
+
+### Unresolved threads (current)
+{{openThreads}}
+
+### Existing story pages (recent)
+{{pageCatalog}}
+
+## New messages
+{{newMessages}}
+
+
+
+## Output format
+Output strictly in the following JSON format, wrapped in a markdown code block:
+
+\`\`\`json
+{
+  "newTimelineEntries": [
+    {"day": "{{timeExample}}", "text": "short phrase", "pages": ["..."]}
+  ],
+  "knownCharacterAttitudes": [
+    {"name": "...", "attitude": "..."}
+  ],
+  "newCharacters": [
+    {"name": "...", "aliases": ["..."], "appearance": "...", "personality": "...", "attitude": "..."}
+  ],
+  "itemEvents": [
+    {"name": "...", "status": "...", "holder": "...", "day": "{{timeExample}}", "page": "...", "significance": "..."}
+  ],
+  "newPages": [
+    {
+      "title": "...",
+      "day": "{{timeExample}}",
+      "content": "...",
+      "keywords": ["...", "..."],
+      "categories": ["emotional", "relationship"],
+      "significance": "high",
+      "sourceMessages": [12, 13]
+    }
+  ],
+  "updatedPages": [
+    {"id": "pg_...", "content": "...", "addKeywords": ["..."], "reason": "..."}
+  ],
+  "supersededPages": [
+    {"id": "pg_...", "by": "...", "reason": "..."}
+  ],
+  "threadUpdates": [
+    {"title": "...", "kind": "promise", "status": "open", "day": "{{timeExample}}", "pages": ["..."], "note": "..."}
+  ],
+  "relationshipEvents": [
+    {"from": "...", "to": "...", "type": "...", "description": "...", "day": "{{timeExample}}", "page": "..."}
+  ],
+  "worldState": {"location": "...", "timeOfDay": "...", "present": ["..."], "weather": "...", "conditions": ["..."]}
+}
+\`\`\`
+
+Notes:
+- Output only the JSON code block, no other text
+- Use the characters' actual names, not {{char}} or {{user}}
+- knownCharacterAttitudes contains only known characters ({{knownCharacters}})
+- newCharacters excludes the protagonist "{{userName}}" and the known characters
+- itemEvents contains only items that changed in this batch
+- newPages contains only new pages extracted from this batch
+- categories: choose 1-3 of emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
+- newTimelineEntries contains only new entries, each at most 15 words, concise like a table of contents
+- Write all text values in English
+]`,
+    initExtraction: `[OOC: Stop roleplaying. You are now the story memory manager. Here are your instructions
+
+## Story memory task
+
+### 1. New timeline entries
+Output only the timeline entries that are new in this batch, in the newTimelineEntries array (do not repeat existing entries).
+Each entry: day (the time, format: {{timeFormat}}), text (a short phrase of at most 15 words), pages (titles of the matching new story pages, may be empty)
+- Example: {"day": "{{timeExample}}", "text": "First meeting in New York, date at the Statue of Liberty"}
+
+### 2. Character updates
+Output two groups:
+
+**Known characters** ({{knownCharacters}}) — attitude only:
+  Output to the knownCharacterAttitudes array, each item: {name, attitude}
+  attitude: how this character's attitude / relationship toward the protagonist ({{userName}}) has developed
+  Do not skip this!
+
+**NPCs** (not the protagonist "{{userName}}", not the known characters):
+  Output to the newCharacters array, each item: {name, aliases, appearance, personality, attitude}
+  Only output NPCs who first appear in this batch or whose information changed; use the dossier name for existing NPCs and put new nicknames in aliases
+
+### 3. Item changes
+Only output important items whose state changed in this batch (obtained, handed over, used, damaged, lost, ...), in the itemEvents array.
+Each event: name, status, holder (may be empty), day, page (title of the new story page that caused the change, may be empty), significance
+
+### 4. Story pages (important!)
+This is the initialization pass. Create story pages for every event in this batch worth remembering.
+Even if an event is already reflected in the timeline, still create its story page.
+Any event that changes the course of the story, reveals key information or moves a relationship deserves a page.
+Everyday noise (fixing makeup, walking around, tidying up — anything that doesn't affect the plot) is not recorded.
+
+Each page contains:
+- title: a short title (2-6 words)
+- day: when the event happened (same format as the timeline; an event spanning several points in time may use a range)
+- content: one event, recorded as a causal chain (40-120 words). Rules:
+  · Write "why", not just "what" (causality first)
+    ❌ "She pawned the necklace and bought clothes"
+    ✅ "She sold her late mother's necklace to buy him a suit for the interview"
+  · Organize by event, not by minute. One event = cause → development → outcome
+  · You may record 1-2 lines of dialogue that decided the outcome (paraphrased; never quote long passages)
+  · Use periods of the day (early morning / morning / afternoon / evening / late night), never exact minutes
+  · No literary embellishment or sensory detail
+- keywords: array of keywords (3-8)
+- categories: array of 1-3 semantic tags chosen from:
+    "emotional" (emotional event), "relationship" (relationship change),
+    "intimate" (intimate interaction), "promise" (promise / agreement),
+    "conflict" (conflict / argument), "discovery" (discovery / revelation),
+    "turning_point" (major turning point), "daily" (everyday moment)
+- significance: "high" or "medium"
+- sourceMessages: array of the message numbers (the #number before each message) the event comes from; world info content has no numbers, leave it empty
+
+### 5. Amend existing story pages
+If the new content makes an existing story page outdated or wrong (a promise was kept, a secret came out, a conflict was resolved, ...):
+- updatedPages: existing pages to amend, each item: id (page ID from the catalog), content (the full amended content, optional), addKeywords (extra keywords, optional), reason (why it was amended)
+- supersededPages: old pages entirely replaced by a new story page, each item: id, by (title of the new story page replacing it, may be empty), reason
+Only use IDs from the "Existing story pages" catalog. Output empty arrays when nothing needs amending.
+
+### 6. Thread tracking (promises, foreshadowing, unresolved conflicts, mysteries)
+Output to the threadUpdates array, each item: title, kind, status, day, pages, note
+- A new loose end introduced in this batch that should be paid off later: status "open", day is when it appeared
+- An existing thread from "Unresolved threads" that was kept / revealed / settled: status "resolved"; broken / abandoned / failed: status "broken". day is when it ended, and title must match the existing thread exactly
+- kind: "promise", "foreshadowing", "conflict" (unresolved conflict), "mystery"
+- pages: titles of related new story pages (may be empty); note: one sentence on where it stands (optional)
+Output an empty array when nothing changed.
+
+### 7. Relationships between characters
+Output only relationships revealed or changed in this batch (between NPCs, between known characters, or between an NPC and a known character) to the relationshipEvents array.
+Each item: from, to (character names; describes how from relates to to), type (short relationship type, e.g. siblings, rivals, secret lovers, superior), description (one sentence on where it stands), day (time), page (title of the new story page that caused the change, may be empty)
+Output symmetric relationships (siblings, allies, ...) in one direction only. Attitudes toward the protagonist "{{userName}}" are handled in section 2; don't repeat them here. Output an empty array when nothing changed.
+
+### 8. Current state
+Output a worldState object describing the state at the end of this batch:
+- location: where the scene currently is; timeOfDay: in-story time of day (early morning / morning / afternoon / evening / late night, ...); weather: the weather (leave empty if unclear)
+- present: array of the characters currently present (including the protagonist)
+- conditions: array of ongoing conditions (injured, sick, wanted, drunk, ...); drop the ones that are over
+Fields that didn't change may be omitted; the values in "Current state" are kept.
+
+
+Notes:
+- Output only the JSON code block, no other text
+- Use the characters' actual names
+- knownCharacterAttitudes contains only known characters ({{knownCharacters}})
+- newCharacters excludes the protagonist "{{userName}}" and the known characters
+- itemEvents contains only items that changed in this batch
+- Create a page in newPages for every event worth remembering, don't miss any
+- categories: choose 1-3 of emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
+- newTimelineEntries contains only new entries, each at most 15 words, concise like a table of contents
+- Write all text values in English
+
+---
+The content of this batch follows:
+## Current story index (accumulated by previous batches)
+
+### Timeline
+{{timeline}}
+
+### Known character attitudes (current)
+{{knownAttitudes}}
+
+### NPC dossiers (current)
+{{npcDossiers}}
+
+### Important items (current)
+{{items}}
+
+### Current state (end of the previous batch)
+{{worldState}}
+
+### Relationships (current, only characters these messages mention)
+{{relationships}}
+
+### Unresolved threads (current)
+{{openThreads}}
+
+### Existing story pages (recent)
+{{pageCatalog}}
+
+## This batch
+{{newMessages}}
+
+# Now produce the output in the format below
+## Output format
+Output strictly as JSON, wrapped in a markdown code block:
+
+\`\`\`json
+{
+  "newTimelineEntries": [
+    {"day": "{{timeExample}}", "text": "short phrase", "pages": ["..."]}
+  ],
+  "knownCharacterAttitudes": [
+    {"name": "...", "attitude": "..."}
+  ],
+  "newCharacters": [
+    {"name": "...", "aliases": ["..."], "appearance": "...", "personality": "...", "attitude": "..."}
+  ],
+  "itemEvents": [
+    {"name": "...", "status": "...", "holder": "...", "day": "{{timeExample}}", "page": "...", "significance": "..."}
+  ],
+  "newPages": [
+    {
+      "title": "...",
+      "day": "{{timeExample}}",
+      "content": "...",
+      "keywords": ["...", "..."],
+      "categories": ["emotional", "relationship"],
+      "significance": "high",
+      "sourceMessages": [12, 13]
+    }
+  ],
+  "updatedPages": [
+    {"id": "pg_...", "content": "...", "addKeywords": ["..."], "reason": "..."}
+  ],
+  "supersededPages": [
+    {"id": "pg_...", "by": "...", "reason": "..."}
+  ],
+  "threadUpdates": [
+    {"title": "...", "kind": "promise", "status": "open", "day": "{{timeExample}}", "pages": ["..."], "note": "..."}
+  ],
+  "relationshipEvents": [
+    {"from": "...", "to": "...", "type": "...", "description": "...", "day": "{{timeExample}}", "page": "..."}
+  ],
+  "worldState": {"location": "...", "timeOfDay": "...", "present": ["..."], "weather": "...", "conditions": ["..."]}
+}
+\`\`\`
+]`,
+    pageCompression: `[OOC: Compress the following story event into a tight 20-40 word summary. Keep: who, did what, why, and the outcome. Drop sensory detail and rhetoric.
+
+Original ({{day}} - {{title}}):
+{{content}}
+
+Requirements:
+- Plain text output, no JSON, no code block
+- 20-40 words
+- Keep causality and the key characters
+- Don't lose core facts
+]`,
+    timelineCompression: `[OOC: Below are the older entries of the story timeline. There are too many; merge and compress them.
+
+## Entries to compress
+{{timeline}}
+
+## Rules
+1. Merge adjacent consecutive times into ranges "start-end: combined summary"
+2. Each merged entry summarizes the core events of that period in at most 15 words
+3. At most {{maxEntries}} lines after compression
+4. Don't lose any important turning point or relationship change
+5. Each line is "time: phrase" or "start-end: phrase", concise like a table of contents. Time format: {{timeFormat}}
+
+## Output
+Output only the compressed timeline text, one entry per line. No JSON, no code block, no explanation.
+]`,
+    retrieval: `You are a memory retrieval agent. Your job is to imitate human associative memory and supply the history the AI needs for its next reply.
+
+## Story index (the whole story so far)
+{{storyIndex}}
+
+## Retrievable story pages{{embeddingHint}}
+{{pageCatalog}}
+
+## Retrievable NPC dossiers
+{{characterCatalog}}
+
+## Current conversation (last few messages)
+{{recentMessages}}
+
+## Retrieval strategy
+Think the way a person remembers:
+- Does the current topic touch something from the past? → fetch it directly with recall_story_page
+- Someone is mentioned? → find related events with get_relationship_history
+- An emotionally charged scene? → search_pages_by_category("emotional")
+- What happened on a certain day? → recall_pages_by_day("D5")
+- Only a vague impression? → search with search_by_keyword
+- Asked where an item came from or where it is? → get_item_history
+- How do two characters relate to each other? → get_relationship_between
+
+Priority: directly relevant > emotional resonance > background
+Finally use recall_story_page to fetch the full content of at most {{maxPages}} pages.
+If no past events need to be recalled, don't call any tool.`,
+    pageMerge: `[OOC: The two story pages below record the same event (usually one scene that spanned two extraction runs). Merge them into a single story page.
+
+## Existing page
+{{existingPage}}
+
+## New page
+{{newPage}}
+
+## Rules
+- Keep every key fact and causal link from both; drop repeated narration
+- content stays organized by event (cause → development → outcome), 40-120 words
+- title: 2-6 words, the existing title may be kept
+- keywords: merged and deduplicated, 3-8
+- categories: choose 1-3 of emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
+- significance: "high" or "medium"
+
+## Output format
+Output only the JSON code block, no other text:
+\`\`\`json
+{"title": "...", "content": "...", "keywords": ["..."], "categories": ["..."], "significance": "high"}
+\`\`\`
+]`,
+
+    storyIndex: `[Story Index]
+{{#if timeline}}1. Timeline
+{{timeline}}
+{{/if}}{{#if items}}
+2. Items
+{{items}}
+{{/if}}{{#if attitudes}}
+3. Known characters' attitude / relationship toward {{userName}}
+{{attitudes}}
+{{/if}}{{#if npcs}}
+4. NPCs so far: {{npcs}}
+{{/if}}{{#if threads}}
+5. Unresolved threads
+{{threads}}
+{{/if}}{{#if worldState}}
+6. Current state{{#if worldStateDay}} ({{worldStateDay}}){{/if}}
+{{worldState}}
+{{/if}}[/Story Index]`,
+
+    flashback: `[Memory Flashback]
+{{#each pages}}Remembered… "{{title}}" ({{day}})
+{{#if content}}{{content}}
+
+{{/if}}{{/each}}[/Memory Flashback]`,
+
+    dossier: `[Character Dossier: {{name}}]
+{{#if appearance}}Appearance: {{appearance}}
+{{/if}}{{#if personality}}Personality: {{personality}}
+{{/if}}{{#if attitude}}Attitude toward the protagonist: {{attitude}}
+{{/if}}[/Character Dossier]`,
+};
+
+const DEFAULT_PROMPT_TEMPLATES = {
+    zh: DEFAULT_PROMPT_TEMPLATES_ZH,
+    en: DEFAULT_PROMPT_TEMPLATES_EN,
+};
+
+function getPromptLanguage() {
+    const language = getSettings().language;
+    return DEFAULT_PROMPT_TEMPLATES[language] ? language : 'zh';
+}
+
+function getDefaultPromptTemplate(name) {
+    return DEFAULT_PROMPT_TEMPLATES[getPromptLanguage()][name];
+}
+
+/**
+ * Overrides of the current language: { [templateName]: { text, version } }.
+ */
+function getLanguagePromptTemplates() {
+    return getSettings().promptTemplates?.[getPromptLanguage()] || {};
+}
+
+function saveLanguagePromptTemplates(templates, language = getPromptLanguage()) {
+    saveSetting('promptTemplates', { ...getSettings().promptTemplates, [language]: templates });
+}
+
+/**
+ * The user's override of a template in the current language ({ text, version }), or null.
+ */
+function getPromptTemplateOverride(name) {
+    const custom = getLanguagePromptTemplates()[name];
+    return typeof custom?.text === 'string' && custom.text.trim() ? custom : null;
+}
+
+/**
+ * Why an override can't be used (saved for an older template version, or invalid), or null.
+ */
+function getPromptOverrideProblem(name, override) {
+    if ((override.version || 1) < PROMPT_TEMPLATE_SPECS[name].version) return '模板版本已过期';
+    const { missing, error } = validatePromptTemplate(name, override.text);
+    if (error) return `语法错误: ${error}`;
+    if (missing.length > 0) return `缺少 ${missing.join(', ')}`;
+    return null;
+}
+
+/**
+ * Get the active template text: the user's override for the current language if any and
+ * still usable, otherwise the built-in default of the current language pack.
+ */
+function getPromptTemplate(name) {
+    const custom = getPromptTemplateOverride(name);
+    return custom && !getPromptOverrideProblem(name, custom) ? custom.text : getDefaultPromptTemplate(name);
+}
+
+/**
+ * On load and language switch: bring stored overrides to { [language]: { [name]: { text, version } } }
+ * and warn about those of the current language that fall back to the default.
+ */
+function checkPromptTemplateOverrides() {
+    const s = getSettings();
+    let converted = false;
+    // Overrides used to be one map for all languages: they were written for the language in use
+    if (Object.keys(s.promptTemplates || {}).some(key => PROMPT_TEMPLATE_SPECS[key])) {
+        s.promptTemplates = { [getPromptLanguage()]: s.promptTemplates };
+        converted = true;
+    }
+    for (const templates of Object.values(s.promptTemplates || {})) {
+        for (const [name, value] of Object.entries(templates)) {
+            // Plain-text overrides predate versioning and were written for version 1
+            if (typeof value === 'string') {
+                templates[name] = { text: value, version: 1 };
+                converted = true;
+            }
+        }
+    }
+    if (converted) saveSettingsDebounced();
+
+    const problems = [];
+    for (const name of Object.keys(getLanguagePromptTemplates())) {
+        const override = PROMPT_TEMPLATE_SPECS[name] && getPromptTemplateOverride(name);
+        const problem = override && getPromptOverrideProblem(name, override);
+        if (problem) problems.push(`${PROMPT_TEMPLATE_SPECS[name].label}（${problem}）`);
+    }
+    if (problems.length > 0) {
+        warn('Custom prompt templates falling back to default:', problems);
+        toastr?.warning?.(`以下自定义模板已改用默认模板，请在模板编辑器中检查后重新保存: ${problems.join('；')}`, 'Memory Manager', { timeOut: 15000 });
+    }
+}
+
+/**
+ * Fill {{placeholders}} in a single pass, so values that themselves contain
+ * {{...}} (chat text, ST macros) are never expanded again.
+ */
+function renderPromptTemplate(name, vars) {
+    return renderTemplateText(getPromptTemplate(name), vars);
+}
+
+/**
+ * Parse a template into text / placeholder / block nodes.
+ * Blocks: {{#if name}}…{{else}}…{{/if}} and {{#each list}}…{{/each}} (may nest).
+ * @returns {{ nodes: object[], error: string|null }}
+ */
+function parseTemplate(text) {
+    const source = String(text || '');
+    const root = [];
+    const stack = [{ node: null, list: root }];
+    let last = 0;
+    for (const m of source.matchAll(TEMPLATE_TAG_RE)) {
+        const [raw, open, key, close, name] = m;
+        const top = stack[stack.length - 1];
+        if (m.index > last) top.list.push({ text: source.slice(last, m.index) });
+        last = m.index + raw.length;
+
+        if (name) {
+            top.list.push({ key: name, raw });
+        } else if (open) {
+            const node = { block: open, key, body: [], alt: [] };
+            top.list.push(node);
+            stack.push({ node, list: node.body });
+        } else if (close === 'else') {
+            if (top.node?.block !== 'if' || top.list !== top.node.body) {
+                return { nodes: [], error: '{{else}} 不在 {{#if}} 内' };
+            }
+            top.list = top.node.alt;
+        } else {
+            const block = close.slice(1);
+            if (top.node?.block !== block) return { nodes: [], error: `多余的 {{${close}}}` };
+            stack.pop();
+        }
+    }
+    if (stack.length > 1) {
+        const { node } = stack[stack.length - 1];
+        return { nodes: [], error: `{{#${node.block} ${node.key}}} 缺少 {{/${node.block}}}` };
+    }
+    if (last < source.length) root.push({ text: source.slice(last) });
+    return { nodes: root, error: null };
+}
+
+/**
+ * Render parsed nodes. Inside {{#each}}, the item's fields shadow the outer values;
+ * {{#if}} is true for non-empty strings/arrays and other truthy values.
+ */
+function renderTemplateNodes(nodes, vars) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.text !== undefined) {
+            out += node.text;
+        } else if (!node.block) {
+            out += Object.prototype.hasOwnProperty.call(vars, node.key) ? String(vars[node.key] ?? '') : node.raw;
+        } else if (node.block === 'if') {
+            const value = vars[node.key];
+            const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+            out += renderTemplateNodes(truthy ? node.body : node.alt, vars);
+        } else {
+            const items = Array.isArray(vars[node.key]) ? vars[node.key] : [];
+            out += items.map(item => renderTemplateNodes(node.body, { ...vars, ...item })).join('');
+        }
+    }
+    return out;
+}
+
+/**
+ * Render template text in one pass. A template with broken blocks (only possible for
+ * overrides saved before block syntax existed) falls back to plain placeholder filling.
+ */
+function renderTemplateText(text, vars) {
+    const { nodes, error } = parseTemplate(text);
+    if (error) {
+        warn('Template block error, rendering placeholders only:', error);
+        return String(text || '').replace(PROMPT_PLACEHOLDER_RE, (match, key) =>
+            Object.prototype.hasOwnProperty.call(vars, key) ? String(vars[key] ?? '') : match);
+    }
+    return renderTemplateNodes(nodes, vars);
+}
+
+/**
+ * Check a template against its spec. Names used by {{#if}} / {{#each}} count as used.
+ * @returns {{ missing: string[], unknown: string[], error: string|null }}
+ */
+function validatePromptTemplate(name, text) {
+    const spec = PROMPT_TEMPLATE_SPECS[name];
+    const used = new Set([...String(text || '').matchAll(TEMPLATE_TAG_RE)].map(m => m[2] || m[4]).filter(Boolean));
+    const known = new Set([...spec.required, ...spec.optional, 'user', 'char']);
+    return {
+        missing: spec.required.filter(k => !used.has(k)),
+        unknown: [...used].filter(k => !known.has(k)),
+        error: parseTemplate(text).error,
+    };
+}
+
+// ============================================================
+//  Extraction Engine
 // ============================================================
 
 function buildExtractionPrompt(data, newMessages) {
+    return renderPromptTemplate('extraction', {
+        ...buildExtractionPromptVars(data, newMessages),
+        newMessages,
+    });
+}
+function buildInitExtractionPrompt(data, messages) {
+    return renderPromptTemplate('initExtraction', {
+        ...buildExtractionPromptVars(data, messages),
+        newMessages: messages,
+    });
+}
+
+/**
+ * Placeholder values shared by the extraction and init-extraction templates.
+ */
+function buildExtractionPromptVars(data, newMessages) {
+    const L = getLangPack();
     const ctx = getContext();
-    const userName = ctx.name1 || '{{user}}';
     const knownNames = getKnownCharacterNames();
-    const knownCharNamesStr = knownNames.size > 0 ? [...knownNames].join('、') : '（无）';
-
-    const knownAttJson = data.knownCharacterAttitudes.length > 0
-        ? JSON.stringify(data.knownCharacterAttitudes, null, 2)
-        : '[]';
-    const charsJson = data.characters.length > 0
-        ? JSON.stringify(data.characters, null, 2)
-        : '[]';
-    const itemsJson = data.items.length > 0
-        ? JSON.stringify(data.items, null, 2)
-        : '[]';
-
-    return `[OOC: 停止角色扮演。你现在是剧情记忆管理系统。
-## 任务
+    return {
+        userName: ctx.name1 || '{{user}}',
+        knownCharacters: knownNames.size > 0 ? [...knownNames].join(L.listSep) : L.none,
+        timeline: renderTimelineText(data.timeline) || L.emptyTimeline,
+        knownAttitudes: data.knownCharacterAttitudes.length > 0
+            ? JSON.stringify(data.knownCharacterAttitudes.map(c => ({ name: c.name, attitude: c.attitude || '' })), null, 2)
+            : '[]',
+        npcDossiers: formatCharactersForPrompt(data),
+        items: formatItemsForPrompt(data),
+        pageCatalog: formatPageCatalogForPrompt(data) || L.none,
+        openThreads: formatThreadsForPrompt(data),
+        relationships: formatRelationshipsForPrompt(data, newMessages),
+        worldState: formatWorldStateLines(data.worldState, L).join('\n') || L.none,
+        timeFormat: getTimeFormatHint(),
+        timeExample: getTimeModel().example,
+    };
+}
+/**
+ * Format chat messages for extraction prompts, prefixed with their chat index
+ * so the LLM can cite them in newPages[].sourceMessages.
+ * @param {{msg: object, idx: number}[]} items
+ */
+function formatMessagesForExtraction(items) {
+    return items.map(item => `#${item.idx} ${item.msg.name}: ${item.msg.mes}`).join('\n\n');
+}
 
-### 1. 更新时间线
-基于现有时间线和新消息，输出更新后的完整时间线。
-格式规则:
-- 每行格式 "D{天数}: 短句"，每行不超过30字
-- 旧事件合并为 "D{起}-D{止}: 一句话概括"，不超过30字
-- 像书的目录一样简洁，只写关键转折
-- 保留旧条目的核心信息（大幅压缩措辞）
-- 按时间线排列，控制在15行以内
-- 示例: "D1: 纽约初遇，自由女神像约会" "D2-D4: 共同调查失踪案，发现线索"
+/**
+ * Narrow a page's LLM-cited source messages to the batch range; fall back to the whole batch.
+ */
+function resolveSourceMessages(cited, sourceIds) {
+    const allowed = new Set(sourceIds);
+    const narrowed = (Array.isArray(cited) ? cited : [])
+        .map(v => Number(String(v).replace(/[^\d]/g, '')))
+        .filter(n => allowed.has(n));
+    if (narrowed.length === 0) return [...sourceIds];
+    return [...new Set(narrowed)].sort((a, b) => a - b);
+}
 
-### 2. 更新角色信息
-分两类输出：
+/**
+ * Find an NPC by name or alias (case-insensitive).
+ */
+function findCharacterByName(characters, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) return null;
+    return characters.find(c => (c.name || '').toLowerCase() === key
+        || (c.aliases || []).some(a => a.toLowerCase() === key)) || null;
+}
 
-**已知角色**（${knownCharNamesStr}）— 只更新态度：
-  输出到 knownCharacterAttitudes 数组，每项: {name, attitude}
-  attitude: 该角色对主角（${userName}）的态度/关系变化轨迹
+function normalizeAliases(aliases, name) {
+    const nameLower = String(name || '').trim().toLowerCase();
+    const list = Array.isArray(aliases) ? aliases : (typeof aliases === 'string' ? aliases.split(/[,，、/]/) : []);
+    return [...new Set(list.map(a => String(a).trim()).filter(a => a && a.toLowerCase() !== nameLower))];
+}
 
-**新NPC角色**（不含主角"${userName}"、不含已知角色）：
-  输出到 newCharacters 数组，每项: {name, appearance, personality, attitude}
-  仅收录剧情中新登场的、非已知角色列表中的NPC
+/**
+ * Set a character's attitude toward the user, keeping earlier ones as a day-stamped trajectory.
+ * An attitude recorded before history existed is kept as the first (undated) step.
+ * @returns {boolean} Whether the attitude changed
+ */
+function recordAttitude(target, attitude, day = '', source = 'extraction') {
+    const value = String(attitude || '').trim();
+    if (!value || value === (target.attitude || '')) return false;
+    if (!Array.isArray(target.attitudeHistory)) target.attitudeHistory = [];
+    if (target.attitudeHistory.length === 0 && target.attitude) {
+        target.attitudeHistory.push({ day: '', attitude: target.attitude, source: 'migration', at: Date.now() });
+    }
+    target.attitudeHistory.push({ day, attitude: value, source, at: Date.now() });
+    if (target.attitudeHistory.length > MAX_ATTITUDE_HISTORY) {
+        target.attitudeHistory.splice(0, target.attitudeHistory.length - MAX_ATTITUDE_HISTORY);
+    }
+    target.attitude = value;
+    return true;
+}
 
-### 3. 更新重要物品
-如果有物品变动，更新物品列表。
-每个物品: name, status, significance
+/**
+ * Update (or add) a known character's attitude entry.
+ */
+function updateKnownAttitude(data, name, attitude, context = {}) {
+    const key = String(name || '').trim();
+    let existing = data.knownCharacterAttitudes.find(k => k.name.toLowerCase() === key.toLowerCase());
+    if (!existing) {
+        existing = { name: key, attitude: '', attitudeHistory: [] };
+        data.knownCharacterAttitudes.push(existing);
+    }
+    recordAttitude(existing, attitude, context.day || '', context.source || 'extraction');
+}
 
-### 4. 提取故事页（Story Pages）
-从消息中提取值得记录的事件。每个页面是一个完整事件的因果记录。
-不仅限于重大转折，任何改变事件走向、揭示关键信息、推动关系变化的事件都应记录。
-日常噪音（补妆、移动、整理仪容等不影响剧情的动作）不记录。
+/**
+ * Merge one incoming NPC into data.characters. Matches by name or alias, only
+ * overwrites fields that changed, and records the change in the NPC's changeLog.
+ * NPCs are never removed here — retiring is an explicit user action.
+ */
+function mergeCharacter(data, incoming, context = {}) {
+    const name = String(incoming.name || '').trim();
+    if (!name) return null;
+    const aliases = normalizeAliases(incoming.aliases, name);
+
+    let target = findCharacterByName(data.characters, name)
+        || aliases.map(a => findCharacterByName(data.characters, a)).find(Boolean);
+    const created = !target;
+    if (created) {
+        target = { name, aliases: [], appearance: '', personality: '', attitude: '', attitudeHistory: [], retired: false, changeLog: [] };
+        data.characters.push(target);
+    }
+    if (!Array.isArray(target.aliases)) target.aliases = [];
+    if (!Array.isArray(target.changeLog)) target.changeLog = [];
+
+    const changes = {};
+    for (const field of NPC_FIELDS) {
+        const value = String(incoming[field] || '').trim();
+        if (value && value !== (target[field] || '')) {
+            changes[field] = { from: target[field] || '', to: value };
+            if (field === 'attitude') {
+                recordAttitude(target, value, context.day || '', context.source || 'extraction');
+            } else {
+                target[field] = value;
+            }
+        }
+    }
 
-每个页面包含:
-- title: 短标题（4-8字）
-- day: 对应时间线中的D几
-- content: 以事件为单位，记录因果链（50-150字）。规则：
-  · 写"为什么"而非仅写"做了什么"（因果关系优先）
-    ❌ "她典当了项链，去买了衣服"
-    ✅ "她卖掉母亲留下的项链，换钱为他买面试穿的西装"
-  · 按事件组织，不按分钟组织。一个事件=起因→经过→结果
-    ❌ "08:14 A摔门 → 08:17 A哭泣 → 08:22 A喊哥哥"
-    ✅ "[清晨] A说出全名后情绪崩溃离开，B追出安抚，C目睹后放弃审讯姿态"
-  · 可记录1-2句决定事件走向的关键对话（用概括语言，禁止大段引用原文台词）
-  · 使用时间段（清晨/上午/下午/傍晚/深夜），禁止精确到分钟
-  · 不要文学修饰和感官细节渲染
-- keywords: 用于检索的关键词数组（3-8个，含角色名、地点、物品、情感关键词）
-- categories: 语义分类标签数组，从以下选择1-3个:
-    "emotional"(情感事件), "relationship"(关系变化),
-    "intimate"(亲密互动), "promise"(承诺/约定),
-    "conflict"(冲突/争执), "discovery"(发现/揭秘),
-    "turning_point"(重大转折), "daily"(日常片段)
-- significance: "high"（重要转折/关系变化）或 "medium"（值得记住但非关键）
+    // A differing incoming name (matched via alias) becomes an alias too
+    const newAliases = normalizeAliases([...aliases, name], target.name)
+        .filter(a => !target.aliases.some(x => x.toLowerCase() === a.toLowerCase()));
+    if (newAliases.length > 0) {
+        changes.aliases = { from: target.aliases.join('、'), to: [...target.aliases, ...newAliases].join('、') };
+        target.aliases.push(...newAliases);
+    }
 
-如果没有值得记录的事件，newPages为空数组。
+    if (created || Object.keys(changes).length > 0) {
+        target.changeLog.push({
+            at: Date.now(),
+            source: context.source || 'extraction',
+            runId: context.runId || null,
+            day: context.day || '',
+            created,
+            changes,
+        });
+        if (target.changeLog.length > MAX_NPC_CHANGELOG) {
+            target.changeLog.splice(0, target.changeLog.length - MAX_NPC_CHANGELOG);
+        }
+    }
+    return target;
+}
+
+/**
+ * NPC dossiers as sent to the extraction LLM: active NPCs only, without change history.
+ */
+function formatCharactersForPrompt(data) {
+    const npcs = data.characters
+        .filter(c => !c.retired)
+        .map(c => ({
+            name: c.name,
+            aliases: c.aliases || [],
+            appearance: c.appearance || '',
+            personality: c.personality || '',
+            attitude: c.attitude || '',
+        }));
+    return npcs.length > 0 ? JSON.stringify(npcs, null, 2) : '[]';
+}
+
+function findItemByName(items, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) return null;
+    return items.find(i => (i.name || '').toLowerCase() === key) || null;
+}
+
+/**
+ * Append a status-change event to an item's ledger (creating the item if new).
+ * Events that change nothing are ignored.
+ */
+function recordItemEvent(data, ev) {
+    const name = String(ev.name || '').trim();
+    if (!name) return;
+
+    let item = findItemByName(data.items, name);
+    if (!item) {
+        item = { name, significance: '', status: '', holder: '', history: [] };
+        data.items.push(item);
+    }
+    if (!Array.isArray(item.history)) item.history = [];
+    if (ev.significance) item.significance = String(ev.significance).trim();
+
+    const status = String(ev.status || '').trim() || item.status;
+    const holder = String(ev.holder || '').trim() || item.holder || '';
+    if (status === item.status && holder === (item.holder || '')) return;
+
+    item.history.push({
+        day: ev.day || '',
+        status,
+        holder,
+        pageId: ev.pageId || null,
+        at: Date.now(),
+    });
+    item.status = status;
+    item.holder = holder;
+}
+
+const PAGE_CATALOG_LIMIT = 40;
+const MAX_PAGE_REVISIONS = 10;
+
+/**
+ * Pages the retrieval agent, embeddings and dedupe may use: not archived, not superseded.
+ */
+function isRetrievablePage(page) {
+    return page.compressionLevel <= COMPRESS_SUMMARY && !page.supersededBy && !page.superseded;
+}
+
+/**
+ * Recent pages as "[id] day | title" lines, so extraction can amend or supersede them.
+ */
+function formatPageCatalogForPrompt(data) {
+    return data.pages
+        .filter(isRetrievablePage)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .slice(-PAGE_CATALOG_LIMIT)
+        .map(p => `[${p.id}] ${p.day} | ${p.title}`)
+        .join('\n');
+}
+
+/**
+ * Keep the current version of a page in its revision history before it is changed.
+ */
+function recordPageRevision(page, source, runId = null, reason = '') {
+    if (!Array.isArray(page.revisions)) page.revisions = [];
+    page.revisions.push({
+        at: Date.now(),
+        source,
+        runId,
+        reason,
+        title: page.title,
+        content: page.content,
+        keywords: [...(page.keywords || [])],
+    });
+    if (page.revisions.length > MAX_PAGE_REVISIONS) {
+        page.revisions.splice(0, page.revisions.length - MAX_PAGE_REVISIONS);
+    }
+}
+
+/**
+ * Apply updatedPages / supersededPages from an extraction result to existing pages.
+ * Changed pages lose their vector and get re-embedded after the run.
+ */
+function applyPageAmendments(data, result, context, pageIdByTitle) {
+    const newPageIds = new Set(context.newPageIds || []);
+    const findExisting = (id) => data.pages.find(p => p.id === String(id || '').trim() && !newPageIds.has(p.id));
+    const source = context.source || 'extraction';
+
+    for (const upd of Array.isArray(result.updatedPages) ? result.updatedPages : []) {
+        const page = findExisting(upd.id);
+        if (!page) continue;
+        const content = typeof upd.content === 'string' ? upd.content.trim() : '';
+        const addKeywords = (Array.isArray(upd.addKeywords) ? upd.addKeywords : [])
+            .map(k => String(k).trim())
+            .filter(k => k && !(page.keywords || []).includes(k));
+        if (!content && addKeywords.length === 0) continue;
+
+        snapshotPageForJournal(data, context.journalEntry, page);
+        recordPageRevision(page, source, context.runId || null, upd.reason || '');
+        if (content) {
+            page.content = content;
+            page.compressionLevel = COMPRESS_FRESH;
+            page.compressedAt = null;
+        }
+        page.keywords = [...(page.keywords || []), ...addKeywords];
+        if (Array.isArray(upd.categories)) {
+            const cats = upd.categories.filter(c => VALID_CATEGORIES.has(c));
+            if (cats.length > 0) page.categories = cats;
+        }
+        if (VALID_SIGNIFICANCE.has(upd.significance)) page.significance = upd.significance;
+        page.updatedAt = Date.now();
+        delete data.embeddings[page.id];
+    }
+
+    for (const sup of Array.isArray(result.supersededPages) ? result.supersededPages : []) {
+        const page = findExisting(sup.id);
+        if (!page || page.superseded) continue;
+        snapshotPageForJournal(data, context.journalEntry, page);
+        recordPageRevision(page, source, context.runId || null, sup.reason || '');
+        page.superseded = true;
+        page.supersededBy = pageIdByTitle.get(String(sup.by || '').trim()) || null;
+        page.supersededAt = Date.now();
+        delete data.embeddings[page.id];
+    }
+}
+
+/**
+ * Items as sent to the extraction LLM: current status only, no history.
+ */
+function formatItemsForPrompt(data) {
+    if (data.items.length === 0) return '[]';
+    return JSON.stringify(data.items.map(i => ({
+        name: i.name,
+        status: i.status || '',
+        holder: i.holder || '',
+        significance: i.significance || '',
+    })), null, 2);
+}
+
+function findThreadByTitle(threads, title) {
+    const key = String(title || '').trim().toLowerCase();
+    if (!key) return null;
+    return threads.find(t => (t.title || '').toLowerCase() === key) || null;
+}
+
+/**
+ * Open threads as sent to the extraction LLM, so it can close them by exact title.
+ */
+function formatThreadsForPrompt(data) {
+    const open = data.threads.filter(t => t.status === 'open');
+    if (open.length === 0) return '[]';
+    return JSON.stringify(open.map(t => ({
+        title: t.title,
+        kind: t.kind,
+        dayOpened: t.dayOpened || '',
+        note: t.note || '',
+    })), null, 2);
+}
+
+/**
+ * Apply threadUpdates: open new threads, close (resolved / broken) or reopen existing ones.
+ * Threads are matched by title; they are never removed here.
+ */
+function applyThreadUpdates(data, updates, pageIdByTitle, runDay) {
+    for (const upd of updates) {
+        const title = String(upd.title || '').trim();
+        if (!title) continue;
+        const validStatus = upd.status in THREAD_STATUSES ? upd.status : null;
+        const day = String(upd.day || '').trim() || runDay;
+        const now = Date.now();
+
+        let thread = findThreadByTitle(data.threads, title);
+        if (!thread) {
+            // Closing a thread we never tracked is still worth a (closed) record; when it opened is unknown
+            const opening = !validStatus || validStatus === 'open';
+            thread = {
+                id: generateId('th'),
+                title,
+                kind: 'foreshadowing',
+                status: 'open',
+                dayOpened: opening ? day : '',
+                dayClosed: '',
+                pageIds: [],
+                note: '',
+                createdAt: now,
+                updatedAt: now,
+            };
+            data.threads.push(thread);
+        }
+
+        if (upd.kind in THREAD_KINDS) thread.kind = upd.kind;
+        if (upd.note) thread.note = String(upd.note).trim();
+        const pageIds = (Array.isArray(upd.pages) ? upd.pages : [])
+            .map(t => pageIdByTitle.get(String(t).trim()))
+            .filter(Boolean);
+        thread.pageIds = [...new Set([...(thread.pageIds || []), ...pageIds])];
+
+        // An update without a valid status (note, pages) keeps the thread's current status
+        const status = validStatus || thread.status;
+        if (status !== thread.status) {
+            thread.status = status;
+            thread.dayClosed = status === 'open' ? '' : day;
+        }
+        thread.updatedAt = now;
+    }
+}
+
+/**
+ * Canonical name for a relationship endpoint: NPC aliases resolve to the NPC's name.
+ */
+function resolveCharacterName(data, name) {
+    const trimmed = String(name || '').trim();
+    return findCharacterByName(data.characters, trimmed)?.name || trimmed;
+}
+
+function findRelationship(relationships, from, to) {
+    const a = from.toLowerCase();
+    const b = to.toLowerCase();
+    return relationships.find(rel => rel.from.toLowerCase() === a && rel.to.toLowerCase() === b) || null;
+}
+
+/**
+ * Append a relationship change between two characters (creating the edge if new).
+ * Events that change nothing are ignored.
+ */
+function recordRelationshipEvent(data, ev) {
+    const from = resolveCharacterName(data, ev.from);
+    const to = resolveCharacterName(data, ev.to);
+    if (!from || !to || from.toLowerCase() === to.toLowerCase()) return;
+
+    let rel = findRelationship(data.relationships, from, to);
+    const type = String(ev.type || '').trim() || rel?.type || '';
+    const description = String(ev.description || '').trim() || rel?.description || '';
+    if (!type && !description) return;
+    if (!rel) {
+        rel = { id: generateId('rl'), from, to, type: '', description: '', history: [], updatedAt: Date.now() };
+        data.relationships.push(rel);
+    }
+    if (!Array.isArray(rel.history)) rel.history = [];
+    if (type === rel.type && description === rel.description) return;
+
+    rel.history.push({
+        day: ev.day || '',
+        type,
+        description,
+        pageId: ev.pageId || null,
+        at: Date.now(),
+    });
+    rel.type = type;
+    rel.description = description;
+    rel.updatedAt = Date.now();
+}
+
+/**
+ * Relationship edges as sent to the extraction LLM: current state only, no history.
+ */
+/**
+ * Current relationship edges for the extraction prompt: only those involving a character the
+ * batch mentions (by name or NPC alias), most recently updated first, at most MAX_PROMPT_RELATIONSHIPS.
+ */
+function formatRelationshipsForPrompt(data, batchText) {
+    const text = String(batchText || '').toLowerCase();
+    const mentioned = (name) => {
+        const npc = findCharacterByName(data.characters, name);
+        return [name, ...(npc?.aliases || [])].some(n => textMentions(text, n));
+    };
+    const relevant = data.relationships
+        .filter(rel => mentioned(rel.from) || mentioned(rel.to))
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .slice(0, MAX_PROMPT_RELATIONSHIPS);
+    if (relevant.length === 0) return '[]';
+    return JSON.stringify(relevant.map(rel => ({
+        from: rel.from,
+        to: rel.to,
+        type: rel.type,
+        description: rel.description || '',
+    })), null, 2);
+}
+
+/**
+ * Merge an extracted world state: reported fields replace the current ones, omitted fields are kept.
+ */
+function applyWorldState(data, incoming, day, source) {
+    if (!incoming || typeof incoming !== 'object') return;
+    const ws = data.worldState;
+    let changed = false;
+    for (const field of WORLD_STATE_TEXT_FIELDS) {
+        if (typeof incoming[field] === 'string' && incoming[field].trim()) {
+            ws[field] = incoming[field].trim();
+            changed = true;
+        }
+    }
+    for (const field of WORLD_STATE_LIST_FIELDS) {
+        if (Array.isArray(incoming[field])) {
+            ws[field] = [...new Set(incoming[field].map(v => String(v).trim()).filter(Boolean))];
+            changed = true;
+        }
+    }
+    if (!changed) return;
+    if (day) ws.day = day;
+    ws.source = source;
+    ws.updatedAt = Date.now();
+}
+
+/**
+ * Apply a parsed extraction result to the memory data.
+ * @param {object} data - Memory data
+ * @param {object} result - Parsed extraction JSON
+ * @param {object} [context]
+ * @param {number[]} [context.sourceIds] - Chat indices of the messages this result was extracted from
+ * @param {string} [context.runId] - Extraction journal id, recorded in NPC change logs
+ * @param {string} [context.source] - 'extraction' | 'init'
+ * @returns {string[]} Ids of the pages created
+ */
+function applyExtractionResult(data, result, context = {}) {
+    const sourceIds = context.sourceIds || [];
+
+    const ctx = getContext();
+    const userName = (ctx.name1 || '').trim().toLowerCase();
+    const knownNames = getKnownCharacterNames();
+    const knownLower = new Set([...knownNames].map(n => n.toLowerCase()));
+    const runDay = Array.isArray(result.newPages) ? (result.newPages.at(-1)?.day || '') : '';
+
+    // Update known character attitudes (new format)
+    if (Array.isArray(result.knownCharacterAttitudes) && result.knownCharacterAttitudes.length > 0) {
+        for (const incoming of result.knownCharacterAttitudes) {
+            if (!incoming.name) continue;
+            // Only accept characters actually in the known list
+            if (!knownLower.has(incoming.name.trim().toLowerCase())) continue;
+            updateKnownAttitude(data, incoming.name, incoming.attitude, { ...context, day: runDay });
+        }
+    }
+
+    // Update NPC characters (new format)
+    if (Array.isArray(result.newCharacters) && result.newCharacters.length > 0) {
+        const incomingNpcs = result.newCharacters.filter(c => c.name
+            && c.name.trim().toLowerCase() !== userName
+            && !knownLower.has(c.name.trim().toLowerCase()),
+        );
+        if (getSettings().npcMergeMode === 'replace') {
+            data.characters = incomingNpcs.map(c => ({
+                name: c.name || '',
+                aliases: normalizeAliases(c.aliases, c.name),
+                appearance: c.appearance || '',
+                personality: c.personality || '',
+                attitude: c.attitude || '',
+                attitudeHistory: c.attitude ? [{ day: runDay, attitude: c.attitude, source: context.source || 'extraction', at: Date.now() }] : [],
+                retired: false,
+                changeLog: [],
+            }));
+        } else {
+            for (const c of incomingNpcs) {
+                mergeCharacter(data, c, { ...context, day: runDay });
+            }
+        }
+    }
+
+    // Backward compatibility: if LLM returns old "characters" array instead of split format
+    if (Array.isArray(result.characters) && !result.newCharacters) {
+        for (const c of result.characters) {
+            if (!c.name || c.name.trim().toLowerCase() === userName) continue;
+            const attitude = c.attitude || c.relationship || '';
+            if (knownLower.has(c.name.trim().toLowerCase())) {
+                // Known character → update attitude only
+                updateKnownAttitude(data, c.name, attitude, { ...context, day: runDay });
+            } else {
+                // NPC character
+                mergeCharacter(data, { ...c, attitude }, { ...context, day: runDay });
+            }
+        }
+    }
+
+    // Add new pages
+    const newPageIds = [];
+    if (Array.isArray(result.newPages)) {
+        for (const page of result.newPages) {
+            if (!page.title || !page.content || page.content.length < 10) continue;
+            const keywords = Array.isArray(page.keywords) ? page.keywords : [];
+            if (keywords.length < 1) continue;
+
+            // Extract character names (or aliases) from keywords
+            const pageChars = [...new Set(keywords
+                .map(k => findCharacterByName(data.characters, k)?.name)
+                .filter(Boolean))];
+
+            // Validate and filter categories
+            const rawCategories = Array.isArray(page.categories) ? page.categories : [];
+            const categories = rawCategories.filter(c => VALID_CATEGORIES.has(c));
+
+            const newId = generateId('pg');
+            data.pages.push({
+                id: newId,
+                day: page.day || '',
+                title: page.title,
+                content: page.content,
+                keywords: keywords,
+                characters: pageChars,
+                categories: categories,
+                significance: page.significance || 'medium',
+                compressionLevel: COMPRESS_FRESH,
+                sourceMessages: resolveSourceMessages(page.sourceMessages, sourceIds),
+                createdAt: Date.now(),
+                compressedAt: null,
+            });
+            newPageIds.push(newId);
+        }
+    }
+
+    // Timeline + item ledger (after pages, so they can link to the pages that caused them)
+    const pageIdByTitle = new Map();
+    for (const p of data.pages) pageIdByTitle.set(p.title, p.id); // newest wins
+
+    applyPageAmendments(data, result, { ...context, newPageIds }, pageIdByTitle);
+
+    const timelineSource = context.source === 'init' ? 'init' : 'extraction';
+
+    if (Array.isArray(result.newTimelineEntries)) {
+        appendTimelineEntries(data, result.newTimelineEntries.map(e => createTimelineEntry({
+            ...parseDayRange(e.day),
+            text: e.text,
+            pageIds: (Array.isArray(e.pages) ? e.pages : [])
+                .map(t => pageIdByTitle.get(String(t).trim()))
+                .filter(Boolean),
+        }, timelineSource)));
+    } else if (typeof result.timeline === 'string' && result.timeline.trim()) {
+        // Backward compatibility: full timeline text → only lines we don't have yet are added
+        appendTimelineEntries(data, parseTimelineText(result.timeline, timelineSource));
+    }
+    if (Array.isArray(result.itemEvents)) {
+        for (const ev of result.itemEvents) {
+            recordItemEvent(data, {
+                ...ev,
+                day: ev.day || runDay,
+                pageId: ev.page ? (pageIdByTitle.get(String(ev.page).trim()) || null) : null,
+            });
+        }
+    } else if (Array.isArray(result.items)) {
+        // Backward compatibility: full item list → record only the items whose status changed
+        for (const item of result.items) {
+            recordItemEvent(data, { ...item, day: runDay, pageId: null });
+        }
+    }
+    if (Array.isArray(result.threadUpdates)) {
+        applyThreadUpdates(data, result.threadUpdates, pageIdByTitle, runDay);
+    }
+    if (Array.isArray(result.relationshipEvents)) {
+        for (const ev of result.relationshipEvents) {
+            recordRelationshipEvent(data, {
+                ...ev,
+                day: ev.day || runDay,
+                pageId: ev.page ? (pageIdByTitle.get(String(ev.page).trim()) || null) : null,
+            });
+        }
+    }
+    applyWorldState(data, result.worldState, runDay, timelineSource);
+
+    return newPageIds;
+}
+
+async function performExtraction() {
+    const ctx = getContext();
+    const data = getMemoryData();
+    const lastId = data.processing.lastExtractedMessageId;
+
+    const startIdx = Math.max(0, lastId + 1);
+    const chat = ctx.chat;
+    // Messages arriving during the LLM call are left for the next run
+    const endIdx = chat.length - 1;
+    if (startIdx > endIdx) return;
 
-现在开始，请分析以下新消息，完成记忆提取。
-## 当前故事索引
+    const newItems = chat.slice(startIdx, endIdx + 1)
+        .map((m, i) => ({ msg: m, idx: startIdx + i }))
+        .filter(item => !item.msg.is_system);
+    const newMsgs = formatMessagesForExtraction(newItems);
 
-### 剧情时间线
-${data.timeline || '（尚无，请从头创建）'}
+    if (!newMsgs.trim()) return;
 
-### 已知角色态度（当前）
-${knownAttJson}
+    log('Extracting from messages', startIdx, 'to', endIdx);
 
-### NPC角色档案（当前）
-${charsJson}
+    // Fingerprint the messages as read, before the call: a swipe or edit during it must still invalidate the run
+    const journalEntry = beginJournalEntry(data, chat, startIdx, endIdx);
+    const prompt = buildExtractionPrompt(data, newMsgs);
+    const result = await requestExtractionResult(prompt, getSettings().extractionMaxTokens, new Set(data.pages.map(p => p.id)));
 
-### 重要物品（当前）
-${itemsJson}
+    const newPageIds = applyExtractionResult(data, result, {
+        sourceIds: newItems.map(item => item.idx),
+        runId: journalEntry.id,
+        journalEntry,
+        source: 'extraction',
+    });
 
-## 新消息内容
-${newMessages}
+    // Embed newly created pages first, so dedupe can compare vectors
+    await embedMissingPages(data);
+    const keptPageIds = await dedupeNewPages(data, newPageIds, journalEntry);
+    commitJournalEntry(data, journalEntry, keptPageIds);
 
+    data.processing.lastExtractedMessageId = endIdx;
+    saveMemoryData();
 
+    log('Extraction complete. Pages:', data.pages.length, 'Timeline updated.');
 
-## 输出格式
-严格按以下JSON格式输出，用markdown代码块包裹：
+    // Merged pages were rewritten and need fresh vectors
+    if (isEmbeddingConfigured()) {
+        enqueueJob('embed');
+    }
 
-\`\`\`json
-{
-  "timeline": "D1: 短句\\nD2: 短句",
-  "knownCharacterAttitudes": [
-    {"name": "...", "attitude": "..."}
-  ],
-  "newCharacters": [
-    {"name": "...", "appearance": "...", "personality": "...", "attitude": "..."}
-  ],
-  "items": [
-    {"name": "...", "status": "...", "significance": "..."}
-  ],
-  "newPages": [
-    {
-      "title": "...",
-      "day": "D1",
-      "content": "...",
-      "keywords": ["...", "..."],
-      "categories": ["emotional", "relationship"],
-      "significance": "high"
+    // Run compression cycle after extraction
+    if (getSettings().autoCompress) {
+        enqueueJob('compress');
     }
-  ]
-}
-\`\`\`
 
-注意：
-- 只输出JSON代码块，不要有其他文字
-- 角色名使用实际名字，不用{{char}}或{{user}}
-- knownCharacterAttitudes 只含已知角色（${knownCharNamesStr}）
-- newCharacters 不含主角"${userName}"和已知角色
-- items要输出完整列表（含未变化的旧条目）
-- newPages仅包含本批消息中提取的新页面
-- categories从以下选1-3个: emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
-- 时间线每行不超过30字，像目录一样简洁
-]`;
+    // Auto-save to slot after extraction
+    await autoSaveIfEnabled();
+
+    updateBrowserUI();
 }
 
-function buildInitExtractionPrompt(data, messages) {
+/**
+ * Queue an extraction once enough new messages have arrived (or right away when forced).
+ * @returns {Promise<boolean>} Whether the extraction ran (false if skipped or given up)
+ */
+async function safeExtract(force = false) {
+    const s = getSettings();
+    if (!s.enabled && !force) return false;
+
     const ctx = getContext();
-    const userName = ctx.name1 || '{{user}}';
-    const knownNames = getKnownCharacterNames();
-    const knownCharNamesStr = knownNames.size > 0 ? [...knownNames].join('、') : '（无）';
+    if (!ctx.chat || ctx.chat.length === 0) return false;
 
-    const knownAttJson = data.knownCharacterAttitudes.length > 0
-        ? JSON.stringify(data.knownCharacterAttitudes, null, 2)
-        : '[]';
-    const charsJson = data.characters.length > 0
-        ? JSON.stringify(data.characters, null, 2)
-        : '[]';
-    const itemsJson = data.items.length > 0
-        ? JSON.stringify(data.items, null, 2)
-        : '[]';
+    const data = getMemoryData();
+    // The rest of the chat belongs to the paused initialization, not to one huge extraction
+    if (data.processing.initCheckpoint) {
+        if (force) {
+            toastr?.info?.('初始化尚未完成，请先点击"初始化记忆"继续', 'Memory Manager');
+        } else if (!initPausedWarned) {
+            initPausedWarned = true;
+            toastr?.warning?.('上次的初始化尚未完成，自动提取已暂停。点击"初始化记忆"继续，或点击"放弃初始化进度"', 'Memory Manager', { timeOut: 10000 });
+        }
+        return false;
+    }
 
-    return `[OOC: 停止角色扮演。你现在是剧情记忆管理系统。以下是你的任务要求
+    const pendingCount = ctx.chat.length - 1 - data.processing.lastExtractedMessageId;
+    if (!force && pendingCount < s.extractionInterval) return false;
 
-    ## 剧情记忆管理任务
+    return enqueueJob('extract', { force });
+}
 
-### 1. 更新时间线
-将本批内容中的事件整合进时间线。
-格式规则:
-- 每行格式 "D{天数}: 短句"，每行不超过30字
-- 旧事件合并为 "D{起}-D{止}: 一句话概括"，不超过30字
-- 像书的目录一样简洁，只写关键转折
-- 保留旧条目核心信息
-- 按时间线排列，控制在15行以内
-- 示例: "D1: 纽约初遇，自由女神像约会"
+// ============================================================
+//  Job Queue (任务队列 — 提取/压缩/向量生成)
+// ============================================================
 
-### 2. 更新角色信息
-分两类输出：
+// Identifies this page load as lock owner; a reload gets a new id
+const jobSessionId = generateId('ss');
+let jobQueueTimer = null;
+let jobQueueRunning = false;
+// Callers awaiting a job (force buttons, slash commands): { [jobId]: resolve[] }
+const jobWaiters = new Map();
+
+function isLockFresh(lock) {
+    if (!lock) return false;
+    // Chat metadata is per page load, so another owner's lock is a leftover from before a reload,
+    // unless this page is mid-run itself
+    if (lock.owner !== jobSessionId && !jobQueueRunning && !initializationInProgress) return false;
+    return Date.now() - (lock.heartbeatAt || 0) < JOB_LOCK_STALE_MS;
+}
 
-**已知角色**（${knownCharNamesStr}）— 只更新态度：
-  输出到 knownCharacterAttitudes 数组，每项: {name, attitude}
-  attitude: 该角色对主角（${userName}）的态度/关系变化轨迹
-  禁止忽略此项！
+/**
+ * Drop a lock left behind by an earlier page load (called when a chat's data is loaded).
+ */
+function clearLeftoverLock(data) {
+    const lock = data.processing.lock;
+    if (!lock || isLockFresh(lock)) return;
+    log(`Clearing leftover processing lock (${lock.holder}, owner ${lock.owner})`);
+    data.processing.lock = null;
+    saveMemoryData();
+}
 
-**新NPC角色**（不含主角"${userName}"、不含已知角色）：
-  输出到 newCharacters 数组，每项: {name, appearance, personality, attitude}
+/**
+ * Whether a queue run or batch initialization currently holds the processing lock.
+ */
+function isProcessingLocked(data) {
+    return isLockFresh(data.processing.lock);
+}
 
-### 3. 更新重要物品
-每个物品: name, status, significance
+/**
+ * Take the processing lock. A lock whose holder stopped sending heartbeats
+ * (reload mid-run, closed tab, crash) is taken over instead of blocking forever.
+ * @returns {boolean} Whether the lock was acquired
+ */
+function acquireProcessingLock(data, holder) {
+    const lock = data.processing.lock;
+    if (isLockFresh(lock)) return false;
+    if (lock) warn(`Taking over stale processing lock (${lock.holder}, last heartbeat ${new Date(lock.heartbeatAt).toLocaleTimeString()})`);
 
-### 4. 提取故事页（重要！）
-这是初始化流程。为本批内容中所有值得记录的事件创建故事页。
-即使这些事件已经反映在时间线中，仍然需要创建对应的故事页。
-任何改变事件走向、揭示关键信息、推动关系变化的事件都应有一页。
-日常噪音（补妆、移动、整理仪容等不影响剧情的动作）不记录。
+    const now = Date.now();
+    data.processing.lock = { owner: jobSessionId, holder, acquiredAt: now, heartbeatAt: now };
+    saveMemoryData();
+    return true;
+}
 
-每页包含:
-- title: 短标题（4-8字）
-- day: 对应时间线中的D几
-- content: 以事件为单位，记录因果链（50-150字）。规则：
-  · 写"为什么"而非仅写"做了什么"（因果关系优先）
-    ❌ "她典当了项链，去买了衣服"
-    ✅ "她卖掉母亲留下的项链，换钱为他买面试穿的西装"
-  · 按事件组织，不按分钟组织。一个事件=起因→经过→结果
-  · 可记录1-2句决定事件走向的关键对话（概括语言，禁止大段引用原文台词）
-  · 使用时间段（清晨/上午/下午/傍晚/深夜），禁止精确到分钟
-  · 不要文学修饰和感官细节渲染
-- keywords: 关键词数组（3-8个）
-- categories: 语义分类标签数组，从以下选择1-3个:
-    "emotional"(情感事件), "relationship"(关系变化),
-    "intimate"(亲密互动), "promise"(承诺/约定),
-    "conflict"(冲突/争执), "discovery"(发现/揭秘),
-    "turning_point"(重大转折), "daily"(日常片段)
-- significance: "high" 或 "medium"
+function releaseProcessingLock(data) {
+    if (data.processing.lock?.owner !== jobSessionId) return;
+    data.processing.lock = null;
+    saveMemoryData();
+}
 
+/**
+ * Keep the lock fresh until the returned stop function is called.
+ * In memory only: the lock is saved when taken and released, not on every beat.
+ */
+function startLockHeartbeat(data) {
+    const timer = setInterval(() => {
+        if (data.processing.lock?.owner !== jobSessionId) return;
+        data.processing.lock.heartbeatAt = Date.now();
+    }, JOB_HEARTBEAT_MS);
+    return () => clearInterval(timer);
+}
 
+/**
+ * Queue a job, or fold it into a waiting job of the same type.
+ * A forced request makes the waiting job run right away instead of after its backoff.
+ * @returns {Promise<boolean>} Resolves true when the job succeeded, false when it was given up
+ */
+function enqueueJob(type, options = {}) {
+    const data = getMemoryData();
+    const force = !!options.force;
+    let job = data.processing.jobs.find(j => j.type === type && j.status !== 'running');
+    if (job) {
+        if (force) {
+            job.force = true;
+            job.nextRunAt = Date.now();
+        }
+    } else {
+        job = {
+            id: generateId('jb'),
+            type,
+            force,
+            status: 'queued',
+            attempts: 0,
+            nextRunAt: Date.now(),
+            lastError: '',
+            createdAt: Date.now(),
+        };
+        data.processing.jobs.push(job);
+    }
+    saveMemoryData();
+    updateStatusDisplay();
+    scheduleJobQueue(0);
 
-注意：
-- 只输出JSON代码块，不要有其他文字
-- 角色名使用实际名字
-- knownCharacterAttitudes 只含已知角色（${knownCharNamesStr}）
-- newCharacters 不含主角"${userName}"和已知角色
-- items要输出完整列表
-- newPages要为每个值得记录的事件都创建，不要遗漏
-- categories从以下选1-3个: emotional, relationship, intimate, promise, conflict, discovery, turning_point, daily
-- 时间线每行不超过30字，像目录一样简洁
+    return new Promise(resolve => {
+        if (!jobWaiters.has(job.id)) jobWaiters.set(job.id, []);
+        jobWaiters.get(job.id).push(resolve);
+    });
+}
 
----
-以下是本批内容：
-## 当前故事索引（由之前的批次积累）
+function settleJobWaiters(jobId, ok) {
+    for (const resolve of jobWaiters.get(jobId) || []) resolve(ok);
+    jobWaiters.delete(jobId);
+}
 
-### 剧情时间线
-${data.timeline || '（尚无，请从头创建）'}
+/**
+ * Resolve every pending caller with false (chat switch, reset): their jobs will not finish here.
+ */
+function abandonJobWaiters() {
+    for (const jobId of [...jobWaiters.keys()]) settleJobWaiters(jobId, false);
+}
 
-### 已知角色态度（当前）
-${knownAttJson}
+function scheduleJobQueue(delayMs) {
+    clearTimeout(jobQueueTimer);
+    jobQueueTimer = setTimeout(runJobQueue, Math.max(0, delayMs));
+}
 
-### NPC角色档案（当前）
-${charsJson}
+/**
+ * Arm the timer for the earliest waiting job (or for the end of the current generation).
+ */
+function scheduleNextJobRun() {
+    const { jobs, reconcilePending } = getMemoryData().processing;
+    if (jobs.length === 0 && !reconcilePending) return;
+    if (is_send_press) {
+        scheduleJobQueue(JOB_DEFER_MS);
+        return;
+    }
+    scheduleJobQueue(reconcilePending ? 0 : Math.min(...jobs.map(j => j.nextRunAt)) - Date.now());
+}
 
-### 重要物品（当前）
-${itemsJson}
+/**
+ * Run due jobs one at a time under the processing lock. Nothing runs while the main
+ * generation is in progress; failed jobs are retried with exponential backoff.
+ */
+async function runJobQueue() {
+    jobQueueTimer = null;
+    if (jobQueueRunning) return;
 
-## 本批内容
-${messages}
+    const data = getMemoryData();
+    if (data.processing.jobs.length === 0 && !data.processing.reconcilePending) return;
 
-# 现在开始按照输出格式输出
-## 输出格式
-严格按JSON格式输出，用markdown代码块包裹：
+    if (is_send_press) {
+        log('Send in progress, deferring queued jobs');
+        scheduleJobQueue(JOB_DEFER_MS);
+        updateStatusDisplay();
+        return;
+    }
+    if (!acquireProcessingLock(data, 'queue')) {
+        scheduleJobQueue(JOB_HEARTBEAT_MS);
+        updateStatusDisplay();
+        return;
+    }
 
-\`\`\`json
-{
-  "timeline": "D1: 短句\\nD2: 短句",
-  "knownCharacterAttitudes": [
-    {"name": "...", "attitude": "..."}
-  ],
-  "newCharacters": [
-    {"name": "...", "appearance": "...", "personality": "...", "attitude": "..."}
-  ],
-  "items": [
-    {"name": "...", "status": "...", "significance": "..."}
-  ],
-  "newPages": [
-    {
-      "title": "...",
-      "day": "D1",
-      "content": "...",
-      "keywords": ["...", "..."],
-      "categories": ["emotional", "relationship"],
-      "significance": "high"
+    jobQueueRunning = true;
+    const stopHeartbeat = startLockHeartbeat(data);
+    // Holding the lock means jobs marked running were left behind by an earlier page load
+    for (const job of data.processing.jobs) {
+        if (job.status === 'running') job.status = 'queued';
+    }
+
+    try {
+        // Stop on chat switch or when a new generation starts; the rest waits for the next run.
+        // The job list is read on every pass so jobs queued meanwhile are picked up.
+        const picked = new Map();
+        while (getMemoryData() === data && !is_send_press) {
+            if (data.processing.reconcilePending) runPendingReconcile(data);
+            const now = Date.now();
+            const job = data.processing.jobs.find(j => j.nextRunAt <= now);
+            if (!job) break;
+            // A job that ran is either removed or rescheduled; seeing it again unchanged would spin forever
+            if (picked.get(job) === job.nextRunAt) {
+                warn('Job still queued after running, stopping this queue run:', job.type, job.id);
+                break;
+            }
+            picked.set(job, job.nextRunAt);
+            await runJob(data, job);
+        }
+    } finally {
+        // Jobs left waiting (backoff, chat switch, new generation) may never finish for these callers
+        for (const job of data.processing.jobs) settleJobWaiters(job.id, false);
+        stopHeartbeat();
+        releaseProcessingLock(data);
+        jobQueueRunning = false;
+        updateStatusDisplay();
+        scheduleNextJobRun();
     }
-  ]
 }
-\`\`\`
-]`;
+
+/**
+ * Drop a finished (or abandoned) job from the queue, in place.
+ */
+function removeJob(data, job) {
+    const at = data.processing.jobs.indexOf(job);
+    if (at >= 0) data.processing.jobs.splice(at, 1);
 }
 
-function applyExtractionResult(data, result) {
-    // Update timeline
-    if (result.timeline) {
-        data.timeline = result.timeline;
+async function runJob(data, job) {
+    const label = JOB_LABELS[job.type] || job.type;
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = Date.now();
+    saveMemoryData();
+    updateStatusDisplay();
+
+    try {
+        await JOB_RUNNERS[job.type](job);
+        removeJob(data, job);
+        settleJobWaiters(job.id, true);
+    } catch (err) {
+        job.lastError = err?.message || String(err);
+        warn(`${job.type} job failed (attempt ${job.attempts}/${JOB_MAX_ATTEMPTS}):`, err);
+        setMood('sad', 5000);
+
+        if (job.attempts >= JOB_MAX_ATTEMPTS) {
+            removeJob(data, job);
+            settleJobWaiters(job.id, false);
+            toastr?.error?.(`${label}失败（已尝试 ${job.attempts} 次），请检查API状态: ${job.lastError}`, 'Memory Manager');
+        } else {
+            const delay = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** (job.attempts - 1));
+            job.status = 'queued';
+            job.nextRunAt = Date.now() + delay;
+            toastr?.warning?.(`${label}失败，${Math.round(delay / 1000)} 秒后重试（${job.attempts}/${JOB_MAX_ATTEMPTS}）: ${job.lastError}`, 'Memory Manager');
+        }
     }
+    saveMemoryData();
+}
 
-    const ctx = getContext();
-    const userName = (ctx.name1 || '').trim().toLowerCase();
-    const knownNames = getKnownCharacterNames();
-    const knownLower = new Set([...knownNames].map(n => n.toLowerCase()));
+async function runExtractJob() {
+    setMood('thinking');
+    await performExtraction();
+    setMood('joyful', 5000);
+    await hideProcessedMessages();
+}
 
-    // Update known character attitudes (new format)
-    if (Array.isArray(result.knownCharacterAttitudes) && result.knownCharacterAttitudes.length > 0) {
-        for (const incoming of result.knownCharacterAttitudes) {
-            if (!incoming.name) continue;
-            // Only accept characters actually in the known list
-            if (!knownLower.has(incoming.name.trim().toLowerCase())) continue;
-            const existing = data.knownCharacterAttitudes.find(
-                k => k.name.toLowerCase() === incoming.name.trim().toLowerCase(),
-            );
-            if (existing) {
-                if (incoming.attitude) existing.attitude = incoming.attitude;
-            } else {
-                data.knownCharacterAttitudes.push({
-                    name: incoming.name.trim(),
-                    attitude: incoming.attitude || '',
-                });
-            }
+async function runCompressJob(job) {
+    setMood('angry');
+    await runCompressionCycle(getMemoryData(), job.force);
+    setMood('idle');
+    updateBrowserUI();
+    if (job.force) {
+        toastr?.success?.('压缩完成', 'Memory Manager');
+    }
+}
+
+async function runEmbedJob() {
+    const data = getMemoryData();
+    await embedMissingPages(data);
+    // embedPage only logs failures; leftovers make the job retry
+    const missing = data.pages.filter(p => !data.embeddings[p.id] && isRetrievablePage(p)).length;
+    if (isEmbeddingConfigured() && missing > 0) {
+        throw new Error(`${missing} 个故事页未能生成向量`);
+    }
+}
+
+async function runMergeJob() {
+    const data = getMemoryData();
+    await mergeApprovedPages(data);
+    updateBrowserUI();
+    enqueueJob('embed');
+}
+
+const JOB_RUNNERS = {
+    extract: runExtractJob,
+    compress: runCompressJob,
+    embed: runEmbedJob,
+    merge: runMergeJob,
+};
+
+/**
+ * One-line queue summary for the status box.
+ */
+function describeJobQueue(data) {
+    const jobs = data.processing.jobs;
+    const lock = data.processing.lock;
+    const parts = [];
+    const checkpoint = data.processing.initCheckpoint;
+    if (lock?.holder === 'init' && isLockFresh(lock)) parts.push('批量初始化中');
+    else if (checkpoint) parts.push(`初始化已暂停 (${checkpoint.nextBatch}/${checkpoint.batches.length})`);
+
+    const now = Date.now();
+    for (const job of jobs) {
+        const label = JOB_LABELS[job.type] || job.type;
+        if (job.status === 'running' && jobQueueRunning) {
+            parts.push(`${label}进行中`);
+        } else if (job.nextRunAt > now) {
+            parts.push(`${label} ${new Date(job.nextRunAt).toLocaleTimeString()} 重试 (${job.attempts}/${JOB_MAX_ATTEMPTS})`);
+        } else {
+            parts.push(`${label}等待中`);
         }
     }
+    if (jobs.length > 0 && !jobQueueRunning && is_send_press) {
+        parts.push('等待生成结束');
+    }
+    return parts.length > 0 ? parts.join(' · ') : '空闲';
+}
 
-    // Update new NPC characters (new format)
-    if (Array.isArray(result.newCharacters) && result.newCharacters.length > 0) {
-        data.characters = result.newCharacters
-            .filter(c => c.name
-                && c.name.trim().toLowerCase() !== userName
-                && !knownLower.has(c.name.trim().toLowerCase()),
-            )
-            .map(c => ({
-                name: c.name || '',
-                appearance: c.appearance || '',
-                personality: c.personality || '',
-                attitude: c.attitude || '',
-            }));
+// ============================================================
+//  Extraction Journal (提取日志 — 消息删除/编辑/重roll时回滚)
+// ============================================================
+
+function fingerprintMessage(msg) {
+    // Only name + text: auto-hide flips is_system and must not invalidate entries
+    return hashString(`${msg?.name ?? ''}\u0000${msg?.mes ?? ''}`);
+}
+
+/**
+ * Start a journal entry for an extraction run. The baseline copy is only held until
+ * commit, where it is reduced to the run's own changes (see diffJournalState).
+ */
+function beginJournalEntry(data, chat, startIdx, endIdx) {
+    const baseline = {};
+    for (const key of [...Object.keys(JOURNAL_TRACKED_KEYS), 'worldState']) {
+        baseline[key] = structuredClone(data[key]);
     }
+    return {
+        id: generateId('ex'),
+        startIdx,
+        endIdx,
+        messageHashes: chat.slice(startIdx, endIdx + 1).map(fingerprintMessage),
+        baseline,
+        addedPageIds: [],
+        pageSnapshots: [],
+        createdAt: Date.now(),
+    };
+}
 
-    // Backward compatibility: if LLM returns old "characters" array instead of split format
-    if (Array.isArray(result.characters) && !result.newCharacters) {
-        for (const c of result.characters) {
-            if (!c.name || c.name.trim().toLowerCase() === userName) continue;
-            const attitude = c.attitude || c.relationship || '';
-            if (knownLower.has(c.name.trim().toLowerCase())) {
-                // Known character → update attitude only
-                const existing = data.knownCharacterAttitudes.find(
-                    k => k.name.toLowerCase() === c.name.trim().toLowerCase(),
-                );
-                if (existing) {
-                    if (attitude) existing.attitude = attitude;
-                } else {
-                    data.knownCharacterAttitudes.push({
-                        name: c.name.trim(),
-                        attitude: attitude,
-                    });
-                }
+function hashJournalValue(value) {
+    return hashString(JSON.stringify(value ?? null));
+}
+
+/**
+ * What a run did to the tracked collections: keys it added, and the previous value of
+ * every entry it changed or removed together with a hash of what it left behind.
+ * Rollback only touches entries still matching that hash, so later compression
+ * and manual edits survive.
+ */
+function diffJournalState(baseline, data) {
+    const changes = {};
+    for (const [key, keyOf] of Object.entries(JOURNAL_TRACKED_KEYS)) {
+        const before = new Map(baseline[key].map(e => [keyOf(e), e]));
+        const after = new Map(data[key].map(e => [keyOf(e), e]));
+        const added = [...after.keys()].filter(k => !before.has(k));
+        const changed = [];
+        for (const [k, prev] of before) {
+            const cur = after.get(k);
+            if (!cur) {
+                changed.push({ key: k, before: prev, removed: true });
+            } else if (hashJournalValue(cur) !== hashJournalValue(prev)) {
+                changed.push({ key: k, before: prev, afterHash: hashJournalValue(cur) });
+            }
+        }
+        if (added.length || changed.length) changes[key] = { added, changed };
+    }
+    if (hashJournalValue(data.worldState) !== hashJournalValue(baseline.worldState)) {
+        changes.worldState = { before: baseline.worldState, afterHash: hashJournalValue(data.worldState) };
+    }
+    return changes;
+}
+
+/**
+ * Revert the changes recorded by diffJournalState, skipping entries edited since.
+ */
+function revertJournalChanges(data, changes) {
+    for (const [key, keyOf] of Object.entries(JOURNAL_TRACKED_KEYS)) {
+        const delta = changes[key];
+        if (!delta) continue;
+        const added = new Set(delta.added);
+        data[key] = data[key].filter(e => !added.has(keyOf(e)));
+        for (const change of delta.changed) {
+            const idx = data[key].findIndex(e => keyOf(e) === change.key);
+            if (change.removed) {
+                if (idx === -1) data[key].push(change.before);
+            } else if (idx !== -1 && hashJournalValue(data[key][idx]) === change.afterHash) {
+                data[key][idx] = change.before;
             } else {
-                // NPC character
-                const existingIdx = data.characters.findIndex(
-                    ch => ch.name.toLowerCase() === c.name.trim().toLowerCase(),
-                );
-                const charData = {
-                    name: c.name || '',
-                    appearance: c.appearance || '',
-                    personality: c.personality || '',
-                    attitude: attitude,
-                };
-                if (existingIdx >= 0) {
-                    data.characters[existingIdx] = charData;
-                } else {
-                    data.characters.push(charData);
-                }
+                log('Rollback skipped', key, change.key, '(changed since)');
             }
         }
     }
+    if (changes.timeline) sortTimeline(data);
 
-    // Update items
-    if (Array.isArray(result.items)) {
-        data.items = result.items.map(item => ({
-            name: item.name || '',
-            status: item.status || '',
-            significance: item.significance || '',
-        }));
+    const world = changes.worldState;
+    if (world) {
+        if (hashJournalValue(data.worldState) === world.afterHash) {
+            data.worldState = world.before;
+        } else {
+            log('Rollback skipped worldState (changed since)');
+        }
     }
+}
 
-    // Add new pages
-    const newPageIds = [];
-    if (Array.isArray(result.newPages)) {
-        for (const page of result.newPages) {
-            if (!page.title || !page.content || page.content.length < 10) continue;
-            const keywords = Array.isArray(page.keywords) ? page.keywords : [];
-            if (keywords.length < 1) continue;
+/**
+ * Remember an existing page (and its vector) before this run rewrites it, so rollback can restore it.
+ */
+function snapshotPageForJournal(data, entry, page) {
+    if (!entry || entry.pageSnapshots.some(s => s.page.id === page.id)) return;
+    entry.pageSnapshots.push({
+        page: structuredClone(page),
+        embedding: data.embeddings[page.id] || null,
+    });
+}
 
-            // Extract character names from keywords
-            const charNames = data.characters.map(c => c.name);
-            const pageChars = keywords.filter(k => charNames.includes(k));
+function commitJournalEntry(data, entry, newPageIds) {
+    entry.addedPageIds = newPageIds;
+    entry.changes = diffJournalState(entry.baseline, data);
+    delete entry.baseline;
+    data.extractionJournal.push(entry);
+    const overflow = data.extractionJournal.length - MAX_JOURNAL_ENTRIES;
+    if (overflow > 0) data.extractionJournal.splice(0, overflow);
+}
 
-            // Validate and filter categories
-            const rawCategories = Array.isArray(page.categories) ? page.categories : [];
-            const categories = rawCategories.filter(c => VALID_CATEGORIES.has(c));
+/**
+ * Index of the oldest journal entry whose source messages no longer match the chat, or -1.
+ */
+function findInvalidJournalIndex(data, chat) {
+    return data.extractionJournal.findIndex(entry => {
+        if (entry.endIdx >= chat.length) return true;
+        return entry.messageHashes.some((h, i) => fingerprintMessage(chat[entry.startIdx + i]) !== h);
+    });
+}
 
-            const newId = generateId('pg');
-            data.pages.push({
-                id: newId,
-                day: page.day || '',
-                title: page.title,
-                content: page.content,
-                keywords: keywords,
-                characters: pageChars,
-                categories: categories,
-                significance: page.significance || 'medium',
-                compressionLevel: COMPRESS_FRESH,
-                sourceMessages: [],
-                createdAt: Date.now(),
-                compressedAt: null,
-            });
-            newPageIds.push(newId);
+/**
+ * Undo one extraction run: revert its changes and drop the pages it created.
+ */
+function rollbackJournalEntry(data, entry) {
+    if (entry.changes) {
+        revertJournalChanges(data, entry.changes);
+    } else if (entry.before) {
+        // Entries written before per-run deltas carry a full snapshot
+        Object.assign(data, entry.before);
+    }
+
+    const added = new Set(entry.addedPageIds);
+    data.pages = data.pages.filter(p => !added.has(p.id));
+    for (const pageId of added) purgePageReferences(data, pageId);
+
+    // Pages this run merged into: put back their previous version (unless archived since)
+    for (const snap of entry.pageSnapshots || []) {
+        const idx = data.pages.findIndex(p => p.id === snap.page.id);
+        if (idx === -1) continue;
+        data.pages[idx] = snap.page;
+        if (snap.embedding) {
+            data.embeddings[snap.page.id] = snap.embedding;
+        } else {
+            delete data.embeddings[snap.page.id];
         }
     }
-    return newPageIds;
+
+    data.processing.lastExtractedMessageId = entry.startIdx - 1;
+    log('Rolled back extraction', entry.id, `(messages ${entry.startIdx}-${entry.endIdx})`);
 }
 
-async function performExtraction() {
+/**
+ * Compare the journal against the current chat and roll back every run from the
+ * first one whose messages were deleted, edited or swiped. Later runs are undone too,
+ * since their changes were made on top of the invalid one.
+ * @returns {number} Number of extraction runs rolled back
+ */
+function reconcileExtractionJournal() {
     const ctx = getContext();
     const data = getMemoryData();
-    const lastId = data.processing.lastExtractedMessageId;
-
-    const startIdx = Math.max(0, lastId + 1);
-    const chat = ctx.chat;
-    if (startIdx >= chat.length) return;
-
-    const newMsgs = chat.slice(startIdx)
-        .filter(m => !m.is_system)
-        .map(m => `${m.name}: ${m.mes}`)
-        .join('\n\n');
-
-    if (!newMsgs.trim()) return;
+    if (!ctx.chat) return 0;
+    if (isProcessingLocked(data)) {
+        // Can't touch the data mid-job; the queue reconciles once it holds the lock
+        data.processing.reconcilePending = true;
+        saveMemoryData();
+        scheduleJobQueue(0);
+        return 0;
+    }
+    return applyExtractionJournalReconcile(data, ctx.chat);
+}
 
-    log('Extracting from messages', startIdx, 'to', chat.length - 1);
+/**
+ * Reconcile deferred by a held lock. Called by the queue between jobs, while it holds the lock.
+ */
+function runPendingReconcile(data) {
+    const chat = getContext().chat;
+    if (!chat) return;
+    if (applyExtractionJournalReconcile(data, chat) > 0) {
+        // Not awaited: the queue picks the extract job up on its next pass
+        safeExtract(true);
+    }
+}
 
-    const prompt = buildExtractionPrompt(data, newMsgs);
-    const response = await callLLM(
-        '你是剧情记忆管理系统。严格按要求输出JSON。',
-        prompt,
-        getSettings().extractionMaxTokens,
-    );
+/**
+ * Roll back journal entries whose messages changed, and clear the pending flag.
+ * @returns {number} How many extractions were undone
+ */
+function applyExtractionJournalReconcile(data, chat) {
+    data.processing.reconcilePending = false;
+    let rolledBack = 0;
+    const invalidIdx = findInvalidJournalIndex(data, chat);
+    if (invalidIdx !== -1) {
+        const undone = data.extractionJournal.splice(invalidIdx);
+        for (const entry of undone.reverse()) {
+            rollbackJournalEntry(data, entry);
+        }
+        rolledBack = undone.length;
+    }
 
-    log('Extraction response length:', response?.length);
+    // Messages removed past the journal's reach: just keep the cursor inside the chat
+    if (data.processing.lastExtractedMessageId > chat.length - 1) {
+        data.processing.lastExtractedMessageId = chat.length - 1;
+    }
 
-    const result = parseJsonResponse(response);
-    if (!result) {
-        throw new Error('Failed to parse extraction response');
+    saveMemoryData();
+    if (rolledBack > 0) {
+        updateBrowserUI();
+        toastr?.info?.(`检测到已提取的消息被修改，已回滚 ${rolledBack} 次提取`, 'Memory Manager');
     }
+    return rolledBack;
+}
 
-    applyExtractionResult(data, result);
+// ============================================================
+//  Page Dedupe (重复故事页检测与合并)
+// ============================================================
 
-    data.processing.lastExtractedMessageId = chat.length - 1;
-    saveMemoryData();
+const DEDUPE_OVERLAP_THRESHOLD = 0.6;
 
-    log('Extraction complete. Pages:', data.pages.length, 'Timeline updated.');
+function titleBigrams(title) {
+    const s = String(title || '').toLowerCase().replace(/\s+/g, '');
+    if (s.length < 2) return s ? [s] : [];
+    const grams = [];
+    for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
+    return grams;
+}
 
-    // Embed newly created pages
-    if (isEmbeddingConfigured()) {
-        const newPages = data.pages.filter(p => !data.embeddings[p.id] && p.compressionLevel <= COMPRESS_SUMMARY);
-        for (const page of newPages) {
-            await embedPage(page);
+/**
+ * Jaccard overlap of keywords + title bigrams.
+ */
+function pageOverlap(a, b) {
+    const tokens = (p) => new Set([
+        ...(p.keywords || []).map(k => String(k).toLowerCase()),
+        ...titleBigrams(p.title),
+    ]);
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.size === 0 || tb.size === 0) return 0;
+    let shared = 0;
+    for (const t of ta) if (tb.has(t)) shared++;
+    return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * Most similar existing page to `page`, if above the threshold.
+ * Uses embedding cosine when both pages have vectors, otherwise keyword/title overlap.
+ * @returns {{ page: object, score: number, method: 'embedding'|'overlap' }|null}
+ */
+function findDuplicatePage(data, page, candidates) {
+    const threshold = getSettings().pageDedupeThreshold;
+    let best = null;
+    for (const other of candidates) {
+        const va = data.embeddings[page.id];
+        const vb = data.embeddings[other.id];
+        const match = va && vb
+            ? { score: cosineSimilarity(va, vb), method: 'embedding' }
+            : { score: pageOverlap(page, other), method: 'overlap' };
+        const limit = match.method === 'embedding' ? threshold : DEDUPE_OVERLAP_THRESHOLD;
+        if (match.score >= limit && (!best || match.score > best.score)) {
+            best = { page: other, ...match };
         }
     }
+    return best;
+}
 
-    // Run compression cycle after extraction
-    if (getSettings().autoCompress) {
-        await safeCompress(false);
+/**
+ * Point everything that referenced `fromId` at `toId` instead.
+ */
+function remapPageReferences(data, fromId, toId) {
+    for (const entry of data.timeline) {
+        if (entry.pageIds?.includes(fromId)) {
+            entry.pageIds = [...new Set(entry.pageIds.map(id => (id === fromId ? toId : id)))];
+        }
+    }
+    for (const item of data.items) {
+        for (const h of item.history || []) {
+            if (h.pageId === fromId) h.pageId = toId;
+        }
+    }
+    for (const rel of data.relationships) {
+        for (const h of rel.history || []) {
+            if (h.pageId === fromId) h.pageId = toId;
+        }
+    }
+    for (const thread of data.threads) {
+        if (thread.pageIds?.includes(fromId)) {
+            thread.pageIds = [...new Set(thread.pageIds.map(id => (id === fromId ? toId : id)))];
+        }
+    }
+    for (const [msgId, ids] of Object.entries(data.messageRecalls)) {
+        if (ids.includes(fromId)) {
+            data.messageRecalls[msgId] = [...new Set(ids.map(id => (id === fromId ? toId : id)))];
+        }
     }
+}
 
-    // Auto-save to slot after extraction
-    await autoSaveIfEnabled();
+function formatPageForMerge(page) {
+    return JSON.stringify({
+        title: page.title,
+        day: page.day,
+        content: page.content,
+        keywords: page.keywords || [],
+        categories: page.categories || [],
+        significance: page.significance,
+    }, null, 2);
+}
 
-    updateBrowserUI();
+/**
+ * Ask the LLM to merge two pages about the same event. Returns the merged fields or null.
+ */
+async function mergePagesWithLLM(older, newer) {
+    const prompt = renderPromptTemplate('pageMerge', {
+        existingPage: formatPageForMerge(older),
+        newPage: formatPageForMerge(newer),
+    });
+    const response = await callLLM(getLangPack().system.pageMerge, prompt, 1000);
+    const merged = parseJsonResponse(response);
+    if (!merged || typeof merged.content !== 'string' || !merged.content.trim()) return null;
+    return merged;
 }
 
-let consecutiveFailures = 0;
+/**
+ * Fold `newer` into `older`. The older page keeps its id (and day), so recall
+ * history, timeline links and item events stay valid.
+ */
+function applyPageMerge(data, older, newer, merged) {
+    const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+    const mergedCategories = Array.isArray(merged.categories)
+        ? merged.categories.filter(c => VALID_CATEGORIES.has(c))
+        : [];
+
+    older.title = typeof merged.title === 'string' && merged.title.trim() ? merged.title.trim() : older.title;
+    older.content = merged.content.trim();
+    older.keywords = Array.isArray(merged.keywords) && merged.keywords.length > 0
+        ? union(merged.keywords.map(String))
+        : union(older.keywords || [], newer.keywords || []);
+    older.categories = mergedCategories.length > 0
+        ? mergedCategories
+        : union(older.categories || [], newer.categories || []);
+    older.significance = VALID_SIGNIFICANCE.has(merged.significance)
+        ? merged.significance
+        : (older.significance === 'high' || newer.significance === 'high' ? 'high' : 'medium');
+    older.characters = union(older.characters || [], newer.characters || []);
+    older.sourceMessages = union(older.sourceMessages || [], newer.sourceMessages || []).sort((a, b) => a - b);
+    older.compressionLevel = COMPRESS_FRESH;
+    older.compressedAt = null;
+
+    data.pages = data.pages.filter(p => p.id !== newer.id);
+    remapPageReferences(data, newer.id, older.id);
+    delete data.embeddings[newer.id];
+    delete data.embeddings[older.id]; // content changed, re-embedded later
+}
 
-async function safeExtract(force = false) {
+/**
+ * Compare the pages created by one extraction run against the existing ones and
+ * merge duplicates (pageDedupeMode: 'llm' merges automatically, 'ask' confirms first).
+ * @param {object|null} journalEntry Run to record pre-merge snapshots in (null during init)
+ * @returns {Promise<string[]>} The new page ids that survived
+ */
+async function dedupeNewPages(data, newPageIds, journalEntry) {
     const s = getSettings();
-    if (!s.enabled && !force) return;
-
-    const data = getMemoryData();
-    if (data.processing.extractionInProgress) {
-        log('Extraction already in progress, skipping');
-        return;
-    }
+    if (s.pageDedupeMode === 'off' || newPageIds.length === 0) return newPageIds;
+
+    const newIds = new Set(newPageIds);
+    const kept = [];
+    let queuedForReview = 0;
+    for (const id of newPageIds) {
+        const page = data.pages.find(p => p.id === id);
+        if (!page) continue;
+
+        const candidates = data.pages.filter(p => !newIds.has(p.id) && isRetrievablePage(p));
+        const dup = findDuplicatePage(data, page, candidates);
+        if (!dup) {
+            kept.push(id);
+            continue;
+        }
 
-    const ctx = getContext();
-    if (!ctx.chat || ctx.chat.length === 0) return;
+        log(`Possible duplicate: "${page.title}" ~ "${dup.page.title}" (${dup.method} ${dup.score.toFixed(2)})`);
+        if (s.pageDedupeMode === 'ask') {
+            // This runs inside a background job: leave the decision to the review list in the page browser
+            data.pendingMerges.push({
+                pageId: id,
+                targetId: dup.page.id,
+                method: dup.method,
+                score: dup.score,
+                approved: false,
+                createdAt: Date.now(),
+            });
+            queuedForReview++;
+            kept.push(id);
+            continue;
+        }
 
-    const pendingCount = ctx.chat.length - 1 - data.processing.lastExtractedMessageId;
-    if (!force && pendingCount < s.extractionInterval) return;
+        try {
+            const merged = await mergePagesWithLLM(dup.page, page);
+            if (!merged) throw new Error('merge response could not be parsed');
+            snapshotPageForJournal(data, journalEntry, dup.page);
+            applyPageMerge(data, dup.page, page, merged);
+            log(`Merged page "${page.title}" into ${dup.page.id}`);
+        } catch (err) {
+            warn('Page merge failed, keeping both pages:', err);
+            kept.push(id);
+        }
+    }
 
-    if (is_send_press) {
-        log('Send in progress, deferring extraction');
-        return;
+    const mergedCount = newPageIds.length - kept.length;
+    if (mergedCount > 0) {
+        toastr?.info?.(`已将 ${mergedCount} 个重复故事页合并到已有页面`, 'Memory Manager');
     }
+    if (queuedForReview > 0) {
+        toastr?.info?.(`发现 ${queuedForReview} 个可能重复的故事页，请在故事页列表上方确认是否合并`, 'Memory Manager');
+    }
+    return kept;
+}
 
-    data.processing.extractionInProgress = true;
-    saveMemoryData();
-    setMood('thinking');
+/**
+ * Review pairs whose pages both still exist (rollback, deletion or an earlier merge can remove either).
+ */
+function getLivePendingMerges(data) {
+    const ids = new Set(data.pages.map(p => p.id));
+    return data.pendingMerges.filter(m => ids.has(m.pageId) && ids.has(m.targetId));
+}
 
-    try {
-        await performExtraction();
-        consecutiveFailures = 0;
-        setMood('joyful', 5000);
-        await hideProcessedMessages();
-    } catch (err) {
-        warn('Extraction failed:', err);
-        setMood('sad', 5000);
-        consecutiveFailures++;
-        if (consecutiveFailures >= 3) {
-            toastr?.warning?.('记忆提取连续失败，请检查API状态', 'Memory Manager');
-            consecutiveFailures = 0;
+/**
+ * Merge the review pairs the user approved. Pairs that failed stay approved and the job retries.
+ */
+async function mergeApprovedPages(data) {
+    data.pendingMerges = getLivePendingMerges(data);
+    let failed = 0;
+    for (const pair of data.pendingMerges.filter(m => m.approved)) {
+        const page = data.pages.find(p => p.id === pair.pageId);
+        const target = data.pages.find(p => p.id === pair.targetId);
+        // An earlier pair in this loop may have merged one of the pages away
+        if (!page || !target) continue;
+        try {
+            const merged = await mergePagesWithLLM(target, page);
+            if (!merged) throw new Error('merge response could not be parsed');
+            applyPageMerge(data, target, page, merged);
+            log(`Merged page "${page.title}" into ${target.id} (reviewed)`);
+        } catch (err) {
+            warn('Reviewed page merge failed:', err);
+            failed++;
         }
-    } finally {
-        data.processing.extractionInProgress = false;
-        saveMemoryData();
-        updateStatusDisplay();
     }
+    data.pendingMerges = getLivePendingMerges(data);
+    if (failed > 0) throw new Error(`${failed} 组故事页合并失败`);
 }
 
 // ============================================================
@@ -1915,41 +5804,18 @@ async function safeExtract(force = false) {
  * Build prompt to compress a page from L0 (fresh) to L1 (summary).
  */
 function buildPageCompressionPrompt(page) {
-    return `[OOC: 将以下故事事件压缩为30-50字的精炼摘要。保留：谁、做了什么、为什么、结果如何。去除感官细节和修辞。
-
-原文 (${page.day} - ${page.title}):
-${page.content}
-
-要求:
-- 输出纯文本，不要JSON不要代码块
-- 30-50字
-- 保留因果关系和关键角色
-- 不要丢失核心事实
-]`;
+    return renderPromptTemplate('pageCompression', {
+        day: page.day,
+        title: page.title,
+        content: page.content,
+    });
 }
-
 /**
- * Build prompt to compress the timeline when it's too long.
+ * Build prompt to compress the older (unlocked) timeline entries when the timeline is too long.
  */
 function buildTimelineCompressionPrompt(timeline, maxEntries) {
-    return `[OOC: 以下剧情时间线条目过多，请压缩。
-
-## 当前时间线
-${timeline}
-
-## 压缩规则
-1. 最近5个条目保持不变
-2. 更早的条目: 相邻的连续天数合并为范围 "D{起}-D{止}: 综合概括"
-3. 合并后的条目用不超过30字的短句概括该段时期的核心事件
-4. 压缩后总行数不超过 ${maxEntries} 行
-5. 不丢失任何重要转折点或关系变化
-6. 每行不超过30字，像书的目录一样简洁
-
-## 输出
-只输出压缩后的时间线文本，每行一条。不要JSON，不要代码块，不要解释。
-]`;
+    return renderPromptTemplate('timelineCompression', { timeline, maxEntries, timeFormat: getTimeFormatHint() });
 }
-
 /**
  * Compress a single page from L0 to L1.
  */
@@ -1962,7 +5828,7 @@ async function compressPage(data, pageId) {
     try {
         const prompt = buildPageCompressionPrompt(page);
         const compressed = await callLLM(
-            '你是文本压缩助手。只输出压缩结果。',
+            getLangPack().system.pageCompression,
             prompt,
             200,
         );
@@ -1995,10 +5861,23 @@ function archivePage(data, pageId) {
 
     log('Archiving page:', page.title);
     data.pages.splice(idx, 1);
+    purgePageReferences(data, pageId);
+}
 
+/**
+ * Remove the embedding and messageRecalls entries that point at a removed page.
+ */
+function purgePageReferences(data, pageId) {
     // Clean up embedding
     if (data.embeddings) delete data.embeddings[pageId];
 
+    // Unlink from timeline entries and threads
+    for (const entry of [...data.timeline, ...data.threads]) {
+        if (entry.pageIds?.includes(pageId)) {
+            entry.pageIds = entry.pageIds.filter(id => id !== pageId);
+        }
+    }
+
     // Clean up messageRecalls referencing this page
     for (const [msgId, ids] of Object.entries(data.messageRecalls)) {
         const filtered = ids.filter(id => id !== pageId);
@@ -2010,34 +5889,53 @@ function archivePage(data, pageId) {
     }
 }
 
+const TIMELINE_KEEP_RECENT = 5;
+
 /**
- * Compress timeline text when it exceeds maxTimelineEntries.
+ * Compress the timeline when it exceeds maxTimelineEntries.
+ * Only older, unlocked entries are sent to the LLM; the most recent entries and
+ * locked entries are kept verbatim. Page links follow the merged day ranges.
  */
 async function compressTimeline(data) {
     const s = getSettings();
-    const lines = data.timeline.split('\n').filter(l => l.trim());
+    const total = data.timeline.length;
+    if (total <= s.maxTimelineEntries) return;
 
-    if (lines.length <= s.maxTimelineEntries) return;
+    const recentIds = new Set(data.timeline.slice(-TIMELINE_KEEP_RECENT).map(e => e.id));
+    const candidates = data.timeline.filter(e => !e.locked && !recentIds.has(e.id));
+    if (candidates.length < 2) return;
 
-    log('Timeline has', lines.length, 'entries, compressing to', s.maxTimelineEntries);
+    const targetLines = Math.max(1, candidates.length - (total - s.maxTimelineEntries));
+    log('Timeline has', total, 'entries, compressing', candidates.length, 'older entries to', targetLines);
 
     try {
-        const prompt = buildTimelineCompressionPrompt(data.timeline, s.maxTimelineEntries);
+        const prompt = buildTimelineCompressionPrompt(renderTimelineText(candidates), targetLines);
         const compressed = await callLLM(
-            '你是时间线压缩助手。只输出压缩后的时间线。',
+            getLangPack().system.timelineCompression,
             prompt,
             1000,
         );
+        if (!compressed || compressed.trim().length < 10) return;
 
-        if (compressed && compressed.trim().length > 20) {
-            const newLines = compressed.trim().split('\n').filter(l => l.trim());
-            if (newLines.length <= lines.length) {
-                data.timeline = compressed.trim();
-                log('Timeline compressed:', lines.length, '→', newLines.length, 'entries');
-            } else {
-                warn('Timeline compression produced more lines, keeping original');
-            }
+        const merged = parseTimelineText(compressed, 'compression');
+        if (merged.length === 0 || merged.length >= candidates.length) {
+            warn('Timeline compression did not reduce entries, keeping original');
+            return;
+        }
+
+        // Carry page links over to the merged entry whose day range covers them
+        for (const old of candidates) {
+            if (!old.pageIds?.length) continue;
+            const day = timeOrdinal(old.dayStart);
+            const target = merged.find(m => day >= timeOrdinal(m.dayStart) && day <= timeOrdinal(m.dayEnd))
+                || merged.reduce((best, m) => (Math.abs(timeOrdinal(m.dayStart) - day) < Math.abs(timeOrdinal(best.dayStart) - day) ? m : best));
+            target.pageIds = [...new Set([...target.pageIds, ...old.pageIds])];
         }
+
+        const candidateIds = new Set(candidates.map(e => e.id));
+        data.timeline = [...data.timeline.filter(e => !candidateIds.has(e.id)), ...merged];
+        sortTimeline(data);
+        log('Timeline compressed:', total, '→', data.timeline.length, 'entries');
     } catch (err) {
         warn('Failed to compress timeline:', err);
     }
@@ -2086,23 +5984,12 @@ async function runCompressionCycle(data, force = false) {
     log('Compression cycle complete. Total pages:', data.pages.length);
 }
 
+/**
+ * Queue a compression cycle (see runCompressJob).
+ * @returns {Promise<boolean>} Whether the cycle completed
+ */
 async function safeCompress(force = false) {
-    try {
-        setMood('angry');
-        const data = getMemoryData();
-        await runCompressionCycle(data, force);
-        setMood('idle');
-        updateBrowserUI();
-        if (force) {
-            toastr?.success?.('压缩完成', 'Memory Manager');
-        }
-    } catch (err) {
-        warn('Compression cycle failed:', err);
-        setMood('sad', 5000);
-        if (force) {
-            toastr?.error?.('压缩失败: ' + err.message, 'Memory Manager');
-        }
-    }
+    return enqueueJob('compress', { force });
 }
 
 // ============================================================
@@ -2143,9 +6030,11 @@ async function hideProcessedMessages() {
  * Build the enhanced retrieval tools (6 tools) for the memory agent.
  */
 function buildRetrievalTools(data, candidatePages) {
+    const T = getLangPack().tools;
+    const categoryLabels = getLangPack().categories;
     const tools = [];
     const availablePages = (candidatePages || data.pages)
-        .filter(p => p.compressionLevel <= COMPRESS_SUMMARY);
+        .filter(isRetrievablePage);
 
     // Tool 1: Recall a story page (direct retrieval)
     if (availablePages.length > 0) {
@@ -2154,14 +6043,14 @@ function buildRetrievalTools(data, candidatePages) {
             type: 'function',
             function: {
                 name: 'recall_story_page',
-                description: '检索一个故事页的详细内容。这是最终检索工具，用于获取具体页面。可多次调用。',
+                description: T.recall_story_page,
                 parameters: {
                     type: 'object',
                     properties: {
                         page_id: {
                             type: 'string',
                             enum: pageEnum,
-                            description: '要检索的故事页ID',
+                            description: T.page_id,
                         },
                     },
                     required: ['page_id'],
@@ -2177,14 +6066,14 @@ function buildRetrievalTools(data, candidatePages) {
             type: 'function',
             function: {
                 name: 'recall_character',
-                description: '检索NPC角色的详细档案（外貌、性格、态度）。已知主要角色的态度已在故事索引中。',
+                description: T.recall_character,
                 parameters: {
                     type: 'object',
                     properties: {
                         name: {
                             type: 'string',
                             enum: charEnum,
-                            description: '角色名',
+                            description: T.name,
                         },
                     },
                     required: ['name'],
@@ -2193,19 +6082,61 @@ function buildRetrievalTools(data, candidatePages) {
         });
     }
 
+    // Tool 2b: Item status history (ledger)
+    if (data.items.length > 0) {
+        tools.push({
+            type: 'function',
+            function: {
+                name: 'get_item_history',
+                description: T.get_item_history,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        item_name: {
+                            type: 'string',
+                            enum: data.items.map(i => i.name),
+                            description: T.item_name,
+                        },
+                    },
+                    required: ['item_name'],
+                },
+            },
+        });
+    }
+
+    // Tool 2c: Relationship between two characters
+    if (data.relationships.length > 0) {
+        const names = [...new Set(data.relationships.flatMap(rel => [rel.from, rel.to]))];
+        tools.push({
+            type: 'function',
+            function: {
+                name: 'get_relationship_between',
+                description: T.get_relationship_between,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        character_a: { type: 'string', enum: names, description: T.character_a },
+                        character_b: { type: 'string', enum: names, description: T.character_b },
+                    },
+                    required: ['character_a', 'character_b'],
+                },
+            },
+        });
+    }
+
     // Tool 3: Search pages by semantic category
     tools.push({
         type: 'function',
         function: {
             name: 'search_pages_by_category',
-            description: '按语义分类搜索故事页。返回该分类下的页面列表，之后可用 recall_story_page 获取详情。',
+            description: T.search_pages_by_category,
             parameters: {
                 type: 'object',
                 properties: {
                     category: {
                         type: 'string',
                         enum: Object.keys(MEMORY_CATEGORIES),
-                        description: '语义分类: emotional(情感), relationship(关系), intimate(亲密), promise(承诺), conflict(冲突), discovery(发现), turning_point(转折), daily(日常)',
+                        description: `${T.category}: ${Object.entries(categoryLabels).map(([id, label]) => `${id}(${label})`).join(', ')}`,
                     },
                 },
                 required: ['category'],
@@ -2218,11 +6149,11 @@ function buildRetrievalTools(data, candidatePages) {
         type: 'function',
         function: {
             name: 'recall_pages_by_day',
-            description: '获取某天发生的所有事件页面列表。之后可用 recall_story_page 获取详情。',
+            description: T.recall_pages_by_day,
             parameters: {
                 type: 'object',
                 properties: {
-                    day: { type: 'string', description: '天数，如 "D5" 或 "D3"' },
+                    day: { type: 'string', description: T.day(getTimeModel().example) },
                 },
                 required: ['day'],
             },
@@ -2234,11 +6165,11 @@ function buildRetrievalTools(data, candidatePages) {
         type: 'function',
         function: {
             name: 'get_relationship_history',
-            description: '获取与某角色相关的所有事件页面列表。搜索关键词和角色字段中包含该角色名的页面。',
+            description: T.get_relationship_history,
             parameters: {
                 type: 'object',
                 properties: {
-                    character_name: { type: 'string', description: '角色名' },
+                    character_name: { type: 'string', description: T.character_name },
                 },
                 required: ['character_name'],
             },
@@ -2250,11 +6181,11 @@ function buildRetrievalTools(data, candidatePages) {
         type: 'function',
         function: {
             name: 'search_by_keyword',
-            description: '按关键词搜索故事页。搜索页面的关键词数组。返回匹配的页面列表。',
+            description: T.search_by_keyword,
             parameters: {
                 type: 'object',
                 properties: {
-                    keyword: { type: 'string', description: '搜索关键词' },
+                    keyword: { type: 'string', description: T.keyword },
                 },
                 required: ['keyword'],
             },
@@ -2268,18 +6199,26 @@ function buildRetrievalTools(data, candidatePages) {
  * Execute a search tool locally and return results as text.
  */
 function executeSearchTool(toolName, args, data) {
-    const pages = data.pages.filter(p => p.compressionLevel <= COMPRESS_SUMMARY);
+    const L = getLangPack();
+    const pages = data.pages.filter(isRetrievablePage);
     switch (toolName) {
     case 'search_pages_by_category': {
         const cat = args.category;
         const matched = pages.filter(p => Array.isArray(p.categories) && p.categories.includes(cat));
-        if (matched.length === 0) return `没有找到分类为"${MEMORY_CATEGORIES[cat] || cat}"的页面。`;
+        if (matched.length === 0) return L.results.noCategory(L.categories[cat] || cat);
         return matched.map(p => `[${p.id}] ${p.day} | ${p.title}`).join('\n');
     }
     case 'recall_pages_by_day': {
-        const day = (args.day || '').toUpperCase();
-        const matched = pages.filter(p => (p.day || '').toUpperCase() === day || (p.day || '').toUpperCase().startsWith(day));
-        if (matched.length === 0) return `${day}没有找到相关页面。`;
+        const day = String(args.day || '').trim();
+        const span = timeSpan(day);
+        // Ranges overlap-match (a "D3-D5" page is found for "D4"); unparseable queries fall back to text
+        const matched = span
+            ? pages.filter(p => {
+                const pageSpan = timeSpan(p.day);
+                return pageSpan && pageSpan[0] <= span[1] && pageSpan[1] >= span[0];
+            })
+            : pages.filter(p => (p.day || '').toLowerCase().includes(day.toLowerCase()));
+        if (matched.length === 0) return L.results.noDay(day);
         return matched.map(p => `[${p.id}] ${p.day} | ${p.title}`).join('\n');
     }
     case 'get_relationship_history': {
@@ -2289,68 +6228,95 @@ function executeSearchTool(toolName, args, data) {
             (p.keywords || []).some(k => k.toLowerCase().includes(nameLower)) ||
             (p.characters || []).some(c => c.toLowerCase().includes(nameLower)),
         );
-        if (matched.length === 0) return `没有找到与"${name}"相关的页面。`;
-        return matched.map(p => `[${p.id}] ${p.day} | ${p.title}`).join('\n');
+        const character = data.knownCharacterAttitudes.find(k => k.name.toLowerCase() === nameLower)
+            || findCharacterByName(data.characters, name);
+        const trajectory = (character?.attitudeHistory || []).map(h => `  ${h.day || '?'}: ${h.attitude}`);
+        if (matched.length === 0 && trajectory.length === 0) return L.results.noRelated(name);
+
+        const parts = [];
+        if (trajectory.length > 0) parts.push(L.results.attitudeHistory(character.name), ...trajectory);
+        if (matched.length > 0) {
+            if (trajectory.length > 0) parts.push(L.results.relatedPages);
+            parts.push(...matched.map(p => `[${p.id}] ${p.day} | ${p.title}`));
+        }
+        return parts.join('\n');
     }
     case 'search_by_keyword': {
         const kw = (args.keyword || '').toLowerCase();
         const matched = pages.filter(p =>
             (p.keywords || []).some(k => k.toLowerCase().includes(kw)) || p.title.toLowerCase().includes(kw),
         );
-        if (matched.length === 0) return `没有找到关键词"${args.keyword}"相关的页面。`;
+        if (matched.length === 0) return L.results.noKeyword(args.keyword);
         return matched.map(p => `[${p.id}] ${p.day} | ${p.title}`).join('\n');
     }
+    case 'get_item_history': {
+        const item = findItemByName(data.items, args.item_name);
+        if (!item) return L.results.noItem(args.item_name);
+        const history = item.history || [];
+        if (history.length === 0) return L.results.noItemHistory(item);
+        const lines = history.map(h => {
+            const holder = h.holder ? L.results.holder(h.holder) : '';
+            const page = h.pageId && data.pages.some(p => p.id === h.pageId) ? ` [${h.pageId}]` : '';
+            return `${h.day || '?'}: ${h.status}${holder}${page}`;
+        });
+        return `${item.name}${item.significance ? L.results.significance(item.significance) : ''}\n${lines.join('\n')}`;
+    }
+    case 'get_relationship_between': {
+        const a = resolveCharacterName(data, args.character_a).toLowerCase();
+        const b = resolveCharacterName(data, args.character_b).toLowerCase();
+        const edges = data.relationships.filter(rel => {
+            const from = rel.from.toLowerCase();
+            const to = rel.to.toLowerCase();
+            return (from === a && to === b) || (from === b && to === a);
+        });
+        if (edges.length === 0) return L.results.noRelationship(args.character_a, args.character_b);
+        return edges.map(rel => {
+            const lines = (rel.history || []).map(h => {
+                const page = h.pageId && data.pages.some(p => p.id === h.pageId) ? ` [${h.pageId}]` : '';
+                return `  ${h.day || '?'}: ${h.type}${h.description ? ` — ${h.description}` : ''}${page}`;
+            });
+            return [`${rel.from} → ${rel.to}: ${rel.type}${rel.description ? ` — ${rel.description}` : ''}`, ...lines].join('\n');
+        }).join('\n\n');
+    }
     default:
-        return '未知工具';
+        return L.results.unknownTool;
     }
 }
 
 const SEARCH_TOOL_NAMES = new Set([
     'search_pages_by_category', 'recall_pages_by_day',
     'get_relationship_history', 'search_by_keyword',
+    'get_item_history', 'get_relationship_between',
 ]);
 
 /**
  * Build the retrieval prompt for the enhanced memory agent.
  */
 function buildRetrievalPrompt(data, recentText, candidatePages, maxPages) {
+    const L = getLangPack();
     const pages = (candidatePages || data.pages)
-        .filter(p => p.compressionLevel <= COMPRESS_SUMMARY);
+        .filter(isRetrievablePage);
     const pageCatalog = pages.map(p => {
-        const level = p.compressionLevel === COMPRESS_FRESH ? '详细' : '摘要';
-        const cats = (p.categories || []).map(c => MEMORY_CATEGORIES[c] || c).join(',');
-        return `  [${p.id}] ${p.day} | ${p.title} | ${level} | 分类: ${cats || '无'} | keywords: ${(p.keywords || []).join(',')}`;
+        const level = p.compressionLevel === COMPRESS_FRESH ? L.catalog.fresh : L.catalog.summary;
+        const cats = (p.categories || []).map(c => L.categories[c] || c).join(',');
+        return `  [${p.id}] ${p.day} | ${p.title} | ${level} | ${L.catalog.categories}: ${cats || L.catalog.none} | keywords: ${(p.keywords || []).join(',')}`;
+    }).join('\n');
+    const charCatalog = data.characters.map(c => {
+        const aliases = c.aliases?.length > 0 ? ` (${c.aliases.join('/')})` : '';
+        const retired = c.retired ? L.catalog.retired : '';
+        return `  ${c.name}${aliases}${retired}: ${c.attitude || L.catalog.unknown}`;
     }).join('\n');
-    const charCatalog = data.characters.map(c => `  ${c.name}: ${c.attitude || '(未知)'}`).join('\n');
-    const embeddingHint = candidatePages ? `\n注意: 以下页面已由语义搜索预筛选，优先从中选择。` : '';
-
-    return `你是记忆检索代理。你的任务是模拟人类记忆联想，为AI的下一次回复提供必要的历史记忆。
-
-## 故事索引（当前剧情全貌）
-${formatStoryIndex(data)}
-
-## 可检索的故事页${embeddingHint}
-${pageCatalog || '(无可用页面)'}
-
-## 可检索的NPC角色档案
-${charCatalog || '(无NPC角色)'}
-
-## 当前对话语境（最近几条消息）
-${recentText}
-
-## 检索策略
-像人类回忆一样思考：
-- 当前话题涉及什么过去的事？→ 用 recall_story_page 直接取
-- 提到某个人？→ 用 get_relationship_history 找相关事件
-- 情绪相关的场景？→ 用 search_pages_by_category("emotional")
-- 某天发生了什么？→ 用 recall_pages_by_day("D5")
-- 模糊印象？→ 用 search_by_keyword 搜索
 
-优先级: 直接相关 > 情感共鸣 > 背景补充
-最终用 recall_story_page 取回最多 ${maxPages} 个页面的详细内容。
-如果不需要回忆任何事件，则不调用工具。`;
+    return renderPromptTemplate('retrieval', {
+        // The user's storyIndex template shapes the chat injection (first-person, XML, ...), not what the agent reads
+        storyIndex: formatStoryIndex(data, getDefaultPromptTemplate('storyIndex')),
+        pageCatalog: pageCatalog || L.catalog.noPages,
+        characterCatalog: charCatalog || L.catalog.noCharacters,
+        recentMessages: recentText,
+        maxPages,
+        embeddingHint: candidatePages ? L.catalog.embeddingHint : '',
+    });
 }
-
 /**
  * Enhanced agent retrieval with multi-round tool calling.
  */
@@ -2400,7 +6366,7 @@ async function agentRetrieve(data, recentText, candidatePages, maxPages) {
                 result: executeSearchTool(tc.name, tc.arguments, data),
             }));
             const searchResultText = searchResults.map(r => `[${r.name}]\n${r.result}`).join('\n\n');
-            const round2Prompt = `${prompt}\n\n## 搜索结果\n${searchResultText}\n\n根据搜索结果，用 recall_story_page 选择最相关的页面。最多选 ${maxPages - selectedPages.length} 个。`;
+            const round2Prompt = prompt + getLangPack().round2(searchResultText, maxPages - selectedPages.length);
 
             try {
                 const round2 = await callSecondaryApiWithTools(null, round2Prompt, tools, 300);
@@ -2432,46 +6398,48 @@ async function agentRetrieve(data, recentText, candidatePages, maxPages) {
 
 
 /**
- * Keyword-based fallback retrieval (when no secondary API or tool calling fails).
+ * Fallback retrieval (when no secondary API or tool calling fails): the top pages of the
+ * hybrid ranking, plus dossiers of the characters on them or named in the recent messages.
+ * @param {object[]} rankedPages From rankPagesHybrid, best first
  */
-function keywordFallbackRetrieve(data, queryKeywords, maxPages) {
-    const scored = data.pages
-        .filter(p => p.compressionLevel <= COMPRESS_SUMMARY)
-        .map(p => {
-            let score = 0;
-            for (const kw of (p.keywords || [])) {
-                if (queryKeywords.has(kw)) score += 2;
-                for (const q of queryKeywords) {
-                    if (q !== kw && (q.includes(kw) || kw.includes(q))) score += 1;
-                }
-            }
-            if (p.significance === 'high') score += 1;
-            if (p.compressionLevel === COMPRESS_FRESH) score += 0.5;
-            return { page: p, score };
-        })
-        .filter(s => s.score > 0)
-        .sort((a, b) => b.score - a.score);
-
-    const pages = scored.slice(0, maxPages).map(s => s.page);
+function keywordFallbackRetrieve(data, rankedPages, queryKeywords, maxPages) {
+    const pages = rankedPages.slice(0, maxPages);
 
     // Find relevant characters from selected pages + keyword matches
     const mentionedChars = new Set();
     for (const p of pages) {
         for (const c of (p.characters || [])) mentionedChars.add(c);
     }
-    // Also check if any character name appears in keywords
+    // Also characters named in the recent messages, by name or alias
     for (const c of data.characters) {
-        if (queryKeywords.has(c.name)) mentionedChars.add(c.name);
+        if ([c.name, ...(c.aliases || [])].some(n => queryKeywords.has(String(n).toLowerCase()))) {
+            mentionedChars.add(c.name);
+        }
     }
     const characters = data.characters.filter(c => mentionedChars.has(c.name)).slice(0, 2);
 
     return { pages, characters };
 }
 
-function extractQueryKeywords(recentMessages) {
-    const text = recentMessages.map(m => m.mes || '').join(' ');
-    const matches = text.match(/[\u4e00-\u9fff\u3400-\u4dbf]{2,}|[a-zA-Z]{3,}/g) || [];
-    return new Set(matches);
+/**
+ * Query terms for the recent messages (message text only; speaker names would match nearly
+ * every page). Besides the segmented words, every character mentioned by name or alias adds
+ * its name and all aliases, so a page written with the full name is found when the chat uses a nickname.
+ * @returns {Set<string>}
+ */
+function extractQueryKeywords(data, recentMessages) {
+    const text = recentMessages.map(m => m.mes || '').join('\n').toLowerCase();
+    const terms = new Set(tokenizeForIndex(text));
+    const people = [
+        ...data.characters,
+        ...data.knownCharacterAttitudes.map(k => ({ name: k.name, aliases: [] })),
+    ];
+    for (const c of people) {
+        const names = [c.name, ...(c.aliases || [])];
+        if (!names.some(n => textMentions(text, n))) continue;
+        for (const term of phraseTerms(names)) terms.add(term);
+    }
+    return terms;
 }
 
 // ============================================================
@@ -2480,6 +6448,47 @@ function extractQueryKeywords(recentMessages) {
 
 let lastRecalledPages = [];
 let lastRecalledChars = [];
+// Token usage of the last injection, shown in the status panel
+let lastInjectionUsage = null;
+
+const INJECTION_POSITIONS = {
+    before_prompt: extension_prompt_types.BEFORE_PROMPT,   // before character definitions
+    in_prompt: extension_prompt_types.IN_PROMPT,           // after character definitions
+    in_chat: extension_prompt_types.IN_CHAT,               // inside the chat at `depth`
+};
+const INJECTION_ROLES = {
+    system: extension_prompt_roles.SYSTEM,
+    user: extension_prompt_roles.USER,
+    assistant: extension_prompt_roles.ASSISTANT,
+};
+// Injected blocks: extension prompt key + the settings that place it
+const INJECTION_BLOCKS = {
+    index:    { key: PROMPT_KEY_INDEX,    position: 'indexPosition',   depth: 'indexDepth',   role: 'indexRole' },
+    pages:    { key: PROMPT_KEY_PAGES,    position: 'recallPosition',  depth: 'recallDepth',  role: 'recallRole' },
+    dossiers: { key: PROMPT_KEY_DOSSIERS, position: 'dossierPosition', depth: 'dossierDepth', role: 'dossierRole' },
+};
+
+/**
+ * Set one injected block with its configured position, depth and role (empty text clears it).
+ */
+function setInjectionBlock(block, text) {
+    const s = getSettings();
+    const spec = INJECTION_BLOCKS[block];
+    setExtensionPrompt(
+        spec.key,
+        text,
+        INJECTION_POSITIONS[s[spec.position]] ?? extension_prompt_types.IN_CHAT,
+        Number(s[spec.depth]) || 0,
+        false,
+        INJECTION_ROLES[s[spec.role]] ?? extension_prompt_roles.SYSTEM,
+    );
+}
+
+function clearInjection() {
+    for (const block of Object.keys(INJECTION_BLOCKS)) {
+        setInjectionBlock(block, '');
+    }
+}
 
 async function retrieveMemories(chat, contextSize, abort, type) {
     if (type === 'quiet') return;
@@ -2494,104 +6503,117 @@ async function retrieveMemories(chat, contextSize, abort, type) {
     const recentMessages = chat.slice(-recentCount).filter(m => !m.is_system);
     const recentText = recentMessages.map(m => `${m.name}: ${m.mes}`).join('\n');
 
-    // === Layer 1: Always inject Story Index (timeline + items + known attitudes + NPC list) ===
-    if (data.timeline || data.items.length > 0 || data.knownCharacterAttitudes.length > 0 || data.characters.length > 0) {
-        const indexText = formatStoryIndex(data);
-        setExtensionPrompt(
-            PROMPT_KEY_INDEX,
-            indexText,
-            extension_prompt_types.IN_CHAT,
-            s.indexDepth,
-            false,
-            extension_prompt_roles.SYSTEM,
-        );
-    } else {
-        setExtensionPrompt(PROMPT_KEY_INDEX, '', extension_prompt_types.IN_CHAT, 0);
+    // === Layer 2 & 3: Retrieve Pages + Character Dossiers ===
+    let retrieved = { pages: [], characters: [] };
+    if (data.pages.length > 0 || data.characters.length > 0) {
+        retrieved = await retrievePagesAndDossiers(data, recentMessages, recentText);
     }
 
-    // === Layer 2 & 3: Retrieve Pages + Character Dossiers ===
-    if (data.pages.length === 0 && data.characters.length === 0) {
-        setExtensionPrompt(PROMPT_KEY_PAGES, '', extension_prompt_types.IN_CHAT, 0);
-        lastRecalledPages = [];
-        lastRecalledChars = [];
-        return;
+    // === Layer 1 (always) + recalled content, filled by priority within the token budget ===
+    const { indexText, pagesText, dossiersText, injected, usage } = await buildInjection(data, retrieved);
+    setInjectionBlock('index', indexText);
+    setInjectionBlock('pages', pagesText);
+    setInjectionBlock('dossiers', dossiersText);
+    lastInjectionUsage = usage;
+    log(`Injected ${usage.total} tokens${usage.budget ? ` of ${usage.budget}` : ''}`, usage.trimmed.length > 0 ? `(trimmed: ${usage.trimmed.join(', ')})` : '');
+    updateStatusDisplay();
+
+    // Store for UI display: only what the model actually sees
+    lastRecalledPages = injected.pages;
+    lastRecalledChars = injected.characters;
+    updateRecallFab();
+
+    // Update mood based on recall results
+    const totalRecalled = injected.pages.length + injected.characters.length;
+    if (totalRecalled >= 3) {
+        setMood('inlove', 6000);
+    } else if (totalRecalled > 0) {
+        setMood('joyful', 5000);
+    }
+
+    // Record in messageRecalls for the next message
+    const nextMessageId = chat.length;
+    if (injected.pages.length > 0) {
+        data.messageRecalls[nextMessageId] = injected.pages.map(p => p.id);
+        saveMemoryData();
     }
+}
 
+/**
+ * Unified retrieval flow: Hybrid ranking (BM25 + Embedding) → Agent → Ranked fallback.
+ * @returns {Promise<{ pages: object[], characters: object[] }>}
+ */
+async function retrievePagesAndDossiers(data, recentMessages, recentText) {
+    const s = getSettings();
     let retrieved = { pages: [], characters: [] };
 
-    // --- Unified retrieval flow: Embedding → Agent → Keywords ---
+    // --- Unified retrieval flow: Hybrid ranking → Agent → Ranked fallback ---
 
-    // Step 1: Embedding pre-filter (if configured)
-    let candidatePages = null;
-    if (s.useEmbedding && isEmbeddingConfigured()) {
-        try {
-            candidatePages = await embeddingPreFilter(data, recentText, s.embeddingTopK);
-            log('Embedding pre-filter returned', candidatePages.length, 'candidates');
-        } catch (embErr) {
-            warn('Embedding pre-filter failed, skipping:', embErr);
-        }
+    // Step 1: BM25 ranking, fused with embedding similarity (if configured)
+    const queryKeywords = extractQueryKeywords(data, recentMessages);
+    let ranking = { pages: [], usedEmbedding: false };
+    try {
+        ranking = await rankPagesHybrid(data, queryKeywords, recentText);
+    } catch (rankErr) {
+        warn('Hybrid ranking failed, skipping:', rankErr);
     }
 
-    // Step 2: Agent retrieval with enhanced tools (if secondary API available)
+    // Step 2: Agent retrieval with enhanced tools (if secondary API available).
+    // The catalog is narrowed only when embeddings took part; BM25 alone misses paraphrases.
     if (s.useSecondaryApi && s.secondaryApiUrl && s.secondaryApiKey) {
+        const candidatePages = ranking.usedEmbedding ? ranking.pages.slice(0, s.embeddingTopK) : null;
+        if (candidatePages) log('Agent candidates:', candidatePages.length);
         retrieved = await agentRetrieve(data, recentText, candidatePages, s.maxPages);
     }
 
-    // Step 3: Keyword fallback if nothing retrieved
+    // Step 3: Ranked fallback if nothing retrieved
     if (retrieved.pages.length === 0 && retrieved.characters.length === 0) {
-        const queryKeywords = extractQueryKeywords(recentMessages);
-        log('Keyword fallback, keywords:', [...queryKeywords]);
-        retrieved = keywordFallbackRetrieve(data, queryKeywords, s.maxPages);
+        log('Ranked fallback, keywords:', [...queryKeywords]);
+        retrieved = keywordFallbackRetrieve(data, ranking.pages, queryKeywords, s.maxPages);
     }
 
     log('Retrieved pages:', retrieved.pages.map(p => p.title));
     log('Retrieved characters:', retrieved.characters.map(c => c.name));
+    return retrieved;
+}
 
-    // Build injection text
-    const injectionParts = [];
-
-    if (retrieved.pages.length > 0) {
-        injectionParts.push(formatRecalledPages(retrieved.pages));
-    }
-
-    if (retrieved.characters.length > 0) {
-        for (const char of retrieved.characters) {
-            injectionParts.push(formatDossier(char));
-        }
-    }
-
-    if (injectionParts.length > 0) {
-        setExtensionPrompt(
-            PROMPT_KEY_PAGES,
-            injectionParts.join('\n\n'),
-            extension_prompt_types.IN_PROMPT,
-            0,
-            false,
-            extension_prompt_roles.SYSTEM,
-        );
-    } else {
-        setExtensionPrompt(PROMPT_KEY_PAGES, '', extension_prompt_types.IN_PROMPT, 0);
-    }
-
-    // Store for UI display
-    lastRecalledPages = retrieved.pages;
-    lastRecalledChars = retrieved.characters;
-    updateRecallFab();
-
-    // Update mood based on recall results
-    const totalRecalled = retrieved.pages.length + retrieved.characters.length;
-    if (totalRecalled >= 3) {
-        setMood('inlove', 6000);
-    } else if (totalRecalled > 0) {
-        setMood('joyful', 5000);
-    }
+/**
+ * Fit the story index and the recalled pages/dossiers into `injectionTokenBudget`.
+ * `injected` holds the recalled pages and dossiers that went in whole (not dropped or cut to a title line).
+ * @returns {Promise<{ indexText: string, pagesText: string, dossiersText: string, injected: { pages: object[], characters: object[] }, usage: { total, budget, tokens, trimmed, at } }>}
+ */
+async function buildInjection(data, retrieved) {
+    const budget = Number(getSettings().injectionTokenBudget) || 0;
+    const indexSections = buildStoryIndexSections(data);
+    // Template wrapper plus the headings of every present section, counted up front
+    const reserved = indexSections.length > 0
+        ? await countTokens(renderStoryIndex(data, Object.fromEntries(indexSections.map(sec => [sec.key, ' ']))))
+        : 0;
+    const fitted = await fitInjectionBudget([...indexSections, ...buildRecallSections(retrieved)], budget, reserved);
+
+    const indexTexts = Object.fromEntries(indexSections
+        .filter(sec => fitted.texts[sec.key])
+        .map(sec => [sec.key, fitted.texts[sec.key]]));
+    const hasIndex = Object.keys(indexTexts).length > 0;
+    if (!hasIndex) fitted.total -= reserved;
+    return {
+        indexText: hasIndex ? renderStoryIndex(data, indexTexts) : '',
+        pagesText: fitted.texts.pages || '',
+        dossiersText: fitted.texts.dossiers || '',
+        injected: {
+            pages: (fitted.whole.pages || []).map(i => retrieved.pages[i]),
+            characters: (fitted.whole.dossiers || []).map(i => retrieved.characters[i]),
+        },
+        usage: { total: fitted.total, budget, tokens: fitted.tokens, trimmed: fitted.trimmed, at: Date.now() },
+    };
+}
 
-    // Record in messageRecalls for the next message
-    const nextMessageId = chat.length;
-    if (retrieved.pages.length > 0) {
-        data.messageRecalls[nextMessageId] = retrieved.pages.map(p => p.id);
-        saveMemoryData();
-    }
+/**
+ * Inject just the (budgeted) story index, e.g. after a chat switch before any generation.
+ */
+async function injectStoryIndex(data) {
+    const { indexText } = await buildInjection(data, { pages: [], characters: [] });
+    setInjectionBlock('index', indexText);
 }
 
 // Register global interceptor
@@ -2642,6 +6664,7 @@ function updateRecallPanel() {
                 <div class="mm-recall-panel-page-header">
                     ${dayHtml}
                     <span class="mm-recall-panel-page-title">${(page.title || '').replace(/</g, '&lt;')}</span>
+                    ${buildJumpLinkHtml(page, 'mm-recall-panel-page-jump')}
                 </div>
                 <div class="mm-recall-panel-page-body">${contentEsc}</div>
             </div>`;
@@ -2667,6 +6690,7 @@ function updateRecallPanel() {
     }
 
     body.innerHTML = html;
+    bindJumpLinks(body);
 }
 
 function bindRecallFab() {
@@ -2860,6 +6884,175 @@ function bindRecallFab() {
 // ============================================================
 
 let initializationInProgress = false;
+// Cancels the running batch initialization (progress panel button)
+let initAbortController = null;
+// Automatic extraction skipped for a paused initialization has been reported (once per chat)
+let initPausedWarned = false;
+
+/**
+ * Token count with the active tokenizer; rough estimate if the tokenizer is unavailable.
+ */
+async function countTokens(text) {
+    try {
+        return await getTokenCountAsync(text);
+    } catch (err) {
+        const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+        return cjk + Math.ceil((text.length - cjk) / 4);
+    }
+}
+
+// Injection units (timeline lines, pages, dossiers) repeat from one generation to the next
+const tokenCountCache = new Map();
+const TOKEN_COUNT_CACHE_SIZE = 2000;
+
+async function countTokensCached(text) {
+    if (tokenCountCache.has(text)) return tokenCountCache.get(text);
+    const tokens = await countTokens(text);
+    if (tokenCountCache.size >= TOKEN_COUNT_CACHE_SIZE) tokenCountCache.clear();
+    tokenCountCache.set(text, tokens);
+    return tokens;
+}
+
+/**
+ * Pack world book groups into chunks of at most `budget` tokens. A group that doesn't fit
+ * is split by entry with its position header repeated; an entry over the budget goes alone.
+ */
+async function chunkLoreGroups(groups, budget) {
+    const chunks = [];
+    let lines = [];
+    let used = 0;
+    const flush = () => {
+        if (lines.length > 0) chunks.push(lines.join('\n'));
+        lines = [];
+        used = 0;
+    };
+
+    for (const group of groups) {
+        const headerTokens = await countTokens(group.label);
+        const entryTokens = [];
+        for (const entry of group.entries) entryTokens.push(await countTokens(entry));
+        const groupTokens = entryTokens.reduce((sum, n) => sum + n, headerTokens);
+
+        if (groupTokens <= budget) {
+            if (used + groupTokens > budget) flush();
+            lines.push(group.label, ...group.entries);
+            used += groupTokens;
+            continue;
+        }
+
+        flush();
+        group.entries.forEach((entry, i) => {
+            if (lines.length > 0 && used + entryTokens[i] > budget) flush();
+            if (lines.length === 0) {
+                lines.push(group.label);
+                used = headerTokens;
+            }
+            if (headerTokens + entryTokens[i] > budget) {
+                warn(`World book entry exceeds the batch budget (${entryTokens[i]} tokens), sent on its own:`, entry.slice(0, 40));
+            }
+            lines.push(entry);
+            used += entryTokens[i];
+        });
+    }
+    flush();
+    return chunks;
+}
+
+/**
+ * Split chat messages into ranges of at most `budget` tokens (at least one new message each).
+ * Every range after the first starts with up to `overlap` already-covered messages as context,
+ * so an event spanning a boundary is seen whole.
+ * @returns {Promise<Array<{ contextStart: number, start: number, end: number }>>} Indexes into allMessages
+ */
+async function chunkChatMessages(allMessages, budget, overlap) {
+    const tokens = [];
+    for (const item of allMessages) tokens.push(await countTokens(formatMessagesForExtraction([item])));
+
+    const ranges = [];
+    let start = 0;
+    while (start < allMessages.length) {
+        // Context never takes more than half of the budget
+        let contextStart = Math.max(0, start - overlap);
+        let used = tokens.slice(contextStart, start).reduce((sum, n) => sum + n, 0);
+        while (contextStart < start && used > budget / 2) {
+            used -= tokens[contextStart];
+            contextStart++;
+        }
+        let end = start;
+        while (end < allMessages.length && (end === start || used + tokens[end] <= budget)) {
+            used += tokens[end];
+            end++;
+        }
+        ranges.push({ contextStart, start, end });
+        start = end;
+    }
+    return ranges;
+}
+
+function getInitBatchBudget() {
+    return Math.max(500, Number(getSettings().initBatchTokens) || 6000);
+}
+
+/**
+ * Split the chat (and world book chunks) into init batches by token budget. Batches only keep
+ * message indexes or a chunk number so the checkpoint stays small; their text is rebuilt when
+ * the batch runs (world book chunks from initLoreChunks).
+ */
+async function buildInitBatches(allMessages, loreChunks, budget) {
+    const overlap = Math.max(0, Number(getSettings().initChunkOverlap) || 0);
+    const batches = [];
+
+    // World book entries first (plot summaries etc.)
+    loreChunks.forEach((_, i) => {
+        batches.push({
+            type: 'lore',
+            chunk: i,
+            sourceIds: [],
+            label: loreChunks.length > 1 ? `世界书 ${i + 1}/${loreChunks.length}` : '世界书',
+        });
+    });
+
+    // Chat message batches
+    for (const { contextStart, start, end } of await chunkChatMessages(allMessages, budget, overlap)) {
+        batches.push({
+            type: 'chat',
+            sourceIds: allMessages.slice(start, end).map(item => item.idx),
+            contextIds: allMessages.slice(contextStart, start).map(item => item.idx),
+            label: `聊天消息 ${start + 1}-${end}`,
+            lastIdx: allMessages[end - 1].idx,
+        });
+    }
+    return batches;
+}
+
+function getInitBatchText(batch, chat) {
+    if (batch.type === 'lore') return initLoreChunks[batch.chunk] || '';
+    const format = (ids) => formatMessagesForExtraction((ids || []).filter(idx => chat[idx]).map(idx => ({ msg: chat[idx], idx })));
+    const fresh = format(batch.sourceIds);
+    const context = format(batch.contextIds);
+    if (!context || !fresh.trim()) return fresh;
+
+    const L = getLangPack().overlap;
+    return `${L.context}\n${context}\n\n${L.fresh}\n${fresh}`;
+}
+
+/**
+ * Build the memory from the existing chat in batches. Progress is checkpointed after every
+ * batch; a cancelled, crashed or failing run resumes from the checkpoint on the next click.
+ */
+/**
+ * World book chunks for the current initialization. Rebuilt from the world book on resume
+ * (checked against checkpoint.loreHash) instead of being stored in the checkpoint.
+ */
+let initLoreChunks = [];
+
+/**
+ * World book groups and their fingerprint, to tell whether a paused initialization still matches.
+ */
+async function gatherInitLore() {
+    const groups = await gatherWorldBookGroups();
+    return { groups, hash: hashString(JSON.stringify(groups)) };
+}
 
 async function performBatchInitialization() {
     if (initializationInProgress) {
@@ -2873,139 +7066,397 @@ async function performBatchInitialization() {
         return;
     }
 
-    const confirmed = confirm(
-        '即将从现有聊天记录构建记忆库。\n\n'
-        + '这将：\n'
-        + '• 重置当前的记忆数据\n'
-        + '• 分批处理所有消息（使用副API / 主API）\n'
-        + '• 构建故事索引、故事页和角色档案\n\n'
-        + '如聊天较长，可能需要多次API调用。是否继续？'
-    );
-    if (!confirmed) return;
+    const data = getMemoryData();
+    let checkpoint = data.processing.initCheckpoint;
+    if (checkpoint && !confirm(
+        `上次的初始化尚未完成（已处理 ${checkpoint.nextBatch}/${checkpoint.batches.length} 批）。\n\n`
+        + '确定：从中断处继续\n'
+        + '取消：放弃进度，重新开始',
+    )) {
+        checkpoint = null;
+    }
+    if (checkpoint && checkpoint.batches.some(b => b.type === 'chat' && b.lastIdx >= ctx.chat.length)) {
+        toastr?.warning?.('聊天记录已变短，无法继续上次的初始化', 'Memory Manager');
+        checkpoint = null;
+    }
+    const loreRemaining = checkpoint?.batches.slice(checkpoint.nextBatch).some(b => b.type === 'lore');
+    if (loreRemaining) {
+        const lore = await gatherInitLore();
+        if (!checkpoint.loreHash || !checkpoint.batchTokens) {
+            toastr?.warning?.('上次的初始化进度来自旧版本，需要重新开始', 'Memory Manager');
+            checkpoint = null;
+        } else if (lore.hash !== checkpoint.loreHash) {
+            toastr?.warning?.('世界书已变更，无法继续上次的初始化', 'Memory Manager');
+            checkpoint = null;
+        } else {
+            initLoreChunks = await chunkLoreGroups(lore.groups, checkpoint.batchTokens);
+        }
+    }
+
+    if (!checkpoint) {
+        const confirmed = confirm(
+            '即将从现有聊天记录构建记忆库。\n\n'
+            + '这将：\n'
+            + '• 重置当前的记忆数据\n'
+            + '• 分批处理所有消息（使用副API / 主API）\n'
+            + '• 构建故事索引、故事页和角色档案\n\n'
+            + '如聊天较长，可能需要多次API调用。是否继续？'
+        );
+        if (!confirmed) return;
+    }
+
+    if (!acquireProcessingLock(data, 'init')) {
+        toastr?.warning?.('记忆任务正在运行，请稍后再试', 'Memory Manager');
+        return;
+    }
 
     initializationInProgress = true;
+    initAbortController = new AbortController();
+    const signal = initAbortController.signal;
     setMood('thinking');
     const s = getSettings();
-    const CHUNK_SIZE = 20;
     const initMaxTokens = Math.max(s.extractionMaxTokens, 8192);
+    const stopHeartbeat = startLockHeartbeat(data);
 
-    // Reset data
-    const data = getMemoryData();
-    Object.assign(data, createDefaultData());
-    data.processing.extractionInProgress = true;
-    saveMemoryData();
+    try {
+        if (checkpoint) {
+            // Checkpoints from older versions kept unmerged parallel results; those batches are extracted again
+            delete checkpoint.mapResults;
+            toastr?.info?.(`继续初始化：从第 ${checkpoint.nextBatch + 1}/${checkpoint.batches.length} 批开始...`, 'Memory Manager', { timeOut: 5000 });
+        } else {
+            // Reset data (queued jobs belong to the old data and are dropped)
+            for (const job of data.processing.jobs) settleJobWaiters(job.id, false);
+            const lock = data.processing.lock;
+            Object.assign(data, createDefaultData());
+            data.processing.lock = lock;
+            saveMemoryData();
 
-    // Collect all non-system messages
-    const allMessages = ctx.chat
-        .map((m, i) => ({ msg: m, idx: i }))
-        .filter(item => !item.msg.is_system && item.msg.mes);
+            // Collect all non-system messages
+            const allMessages = ctx.chat
+                .map((m, i) => ({ msg: m, idx: i }))
+                .filter(item => !item.msg.is_system && item.msg.mes);
+
+            // Gather world book context (不含角色卡 — 角色卡是角色设定，不是剧情记忆)
+            updateInitProgressUI(0, 0, '正在读取世界书...');
+            const lore = await gatherInitLore();
+            const batchTokens = getInitBatchBudget();
+            initLoreChunks = await chunkLoreGroups(lore.groups, batchTokens);
+
+            // Parallel extraction needs calls that can overlap: quiet prompts on the main API can't
+            updateInitProgressUI(0, 0, '正在按 token 分批...');
+            const parallel = s.initParallelism > 1 && isSecondaryApiConfigured();
+            if (s.initParallelism > 1 && !parallel) {
+                toastr?.info?.('并行初始化需要副API，本次按顺序处理', 'Memory Manager');
+            }
+            checkpoint = {
+                mode: parallel ? 'parallel' : 'sequential',
+                batches: await buildInitBatches(allMessages, initLoreChunks, batchTokens),
+                batchTokens,
+                loreHash: lore.hash,
+                nextBatch: 0,
+                successBatches: 0,
+                // Chunks label days from their own start, shifted while merging (day time model only)
+                relativeDays: parallel && s.timeModel === 'day',
+                messageCount: allMessages.length,
+                startedAt: Date.now(),
+            };
+            data.processing.initCheckpoint = checkpoint;
+            saveMemoryData();
 
-    // Gather world book context (不含角色卡 — 角色卡是角色设定，不是剧情记忆)
-    updateInitProgressUI(0, 0, '正在读取世界书...');
-    const worldBookContext = await gatherWorldBookContext();
+            toastr?.info?.(`开始初始化：${initLoreChunks.length > 0 ? '含世界书，' : ''}共 ${allMessages.length} 条消息，分 ${checkpoint.batches.length} 批处理...`, 'Memory Manager', { timeOut: 5000 });
+        }
 
-    // Build batch list
-    const batches = [];
+        const totalBatches = checkpoint.batches.length;
+        updateInitProgressUI(checkpoint.nextBatch, totalBatches, '开始处理...');
+        updateStatusDisplay();
 
-    // Batch 0: World book entries (plot summaries etc.)
-    if (worldBookContext && worldBookContext.trim().length > 0) {
-        batches.push({
-            type: 'lore',
-            text: worldBookContext,
-            sourceIds: [],
-            label: '世界书',
-        });
-    }
+        // 'cancel' | 'failures' when the run stops before the last batch
+        const stopReason = checkpoint.mode === 'parallel'
+            ? await runParallelInit(data, checkpoint, ctx.chat, signal, initMaxTokens)
+            : await runSequentialInit(data, checkpoint, ctx.chat, signal, initMaxTokens);
+
+        if (stopReason) {
+            // nextBatch counts the batches whose results are merged and saved; the rest run again on resume
+            const progress = `已保存 ${checkpoint.nextBatch}/${totalBatches} 批的结果`;
+            updateInitProgressUI(checkpoint.nextBatch, totalBatches, `初始化已暂停（${progress}）`);
+            if (stopReason === 'cancel') {
+                setMood('idle');
+                toastr?.info?.(`初始化已取消（${progress}），再次点击"初始化记忆"可从中断处继续`, 'Memory Manager', { timeOut: 8000 });
+            } else {
+                setMood('sad', 6000);
+                toastr?.error?.(`批次处理失败，初始化已暂停（${progress}）。请检查API后再次点击"初始化记忆"继续`, 'Memory Manager', { timeOut: 10000 });
+            }
+            return;
+        }
 
-    // Chat message batches
-    for (let i = 0; i < allMessages.length; i += CHUNK_SIZE) {
-        const chunk = allMessages.slice(i, i + CHUNK_SIZE);
-        batches.push({
-            type: 'chat',
-            text: chunk.map(item => `${item.msg.name}: ${item.msg.mes}`).join('\n\n'),
-            sourceIds: chunk.map(item => item.idx),
-            label: `聊天消息 ${i + 1}-${Math.min(i + CHUNK_SIZE, allMessages.length)}`,
-            lastIdx: chunk[chunk.length - 1].idx,
-        });
-    }
+        data.processing.initCheckpoint = null;
+
+        // Auto-hide
+        if (s.autoHide && data.processing.lastExtractedMessageId >= 0) {
+            await hideProcessedMessages();
+        }
 
-    const totalBatches = batches.length;
-    let successBatches = 0;
+        updateInitProgressUI(totalBatches, totalBatches, '初始化完成！');
+        setMood('inlove', 8000);
+        toastr?.success?.(
+            `初始化完成！处理 ${checkpoint.successBatches}/${totalBatches} 批，提取 ${data.pages.length} 个故事页`,
+            'Memory Manager',
+            { timeOut: 8000 },
+        );
 
-    toastr?.info?.(`开始初始化：${worldBookContext ? '含世界书，' : ''}共 ${allMessages.length} 条消息，分 ${totalBatches} 批处理...`, 'Memory Manager', { timeOut: 5000 });
-    updateInitProgressUI(0, totalBatches, '开始处理...');
+    } catch (err) {
+        warn('Batch initialization error:', err);
+        setMood('sad', 6000);
+        toastr?.error?.('初始化过程出错: ' + err.message, 'Memory Manager');
+    } finally {
+        initializationInProgress = false;
+        initAbortController = null;
+        initLoreChunks = [];
+        stopHeartbeat();
+        releaseProcessingLock(data);
+        updateBrowserUI();
+        hideInitProgressUI();
+        updateStatusDisplay();
+        scheduleJobQueue(0);
+    }
+}
 
-    try {
-        for (let ci = 0; ci < totalBatches; ci++) {
-            const batch = batches[ci];
-            if (!batch.text.trim()) continue;
+/**
+ * Run init batches one after another, each extracted against the state built so far.
+ * @returns {Promise<string>} '' when `endBatch` was reached, 'cancel' or 'failures' when paused
+ */
+async function runSequentialInit(data, checkpoint, chat, signal, maxTokens, endBatch = checkpoint.batches.length) {
+    const total = checkpoint.batches.length;
+    let failStreakStart = -1;
+    for (let ci = checkpoint.nextBatch; ci < endBatch; ci++) {
+        if (signal.aborted) {
+            return 'cancel';
+        }
+        const batch = checkpoint.batches[ci];
+        const text = getInitBatchText(batch, chat);
 
-            updateInitProgressUI(ci, totalBatches, `正在处理第 ${ci + 1}/${totalBatches} 批 (${batch.label})...`);
+        if (text.trim()) {
+            updateInitProgressUI(ci, total, `正在处理第 ${ci + 1}/${total} 批 (${batch.label})...`);
 
             try {
-                const prompt = buildInitExtractionPrompt(data, batch.text);
-                console.warn(LOG_PREFIX, `Batch ${ci + 1} (${batch.label}): calling LLM (max_tokens=${initMaxTokens})...`);
-                const response = await callLLM(
-                    '你是剧情记忆管理系统。严格按要求输出JSON。',
-                    prompt,
-                    initMaxTokens,
-                );
-
-                console.warn(LOG_PREFIX, `Batch ${ci + 1}: LLM responded, length=${response?.length || 0}`);
-
-                const result = parseJsonResponse(response);
-                if (!result) {
-                    warn(`Batch ${ci + 1}: Failed to parse response.`);
-                    continue;
-                }
+                const prompt = buildInitExtractionPrompt(data, text);
+                console.warn(LOG_PREFIX, `Batch ${ci + 1} (${batch.label}): calling LLM (max_tokens=${maxTokens})...`);
+                const result = await requestExtractionResult(prompt, maxTokens, new Set(data.pages.map(p => p.id)), signal);
 
-                console.warn(LOG_PREFIX, `Batch ${ci + 1}: parsed OK — timeline=${!!result.timeline}, chars=${result.characters?.length || 0}, pages=${result.newPages?.length || 0}`);
+                console.warn(LOG_PREFIX, `Batch ${ci + 1}: parsed OK — timeline=${result.newTimelineEntries?.length || 0}, chars=${result.characters?.length || 0}, pages=${result.newPages?.length || 0}`);
 
-                applyExtractionResult(data, result);
+                const newPageIds = applyExtractionResult(data, result, { sourceIds: batch.sourceIds, source: 'init' });
+                await dedupeNewPages(data, newPageIds, null);
 
-                // Tag source messages for new pages (only for chat batches)
                 if (batch.type === 'chat' && batch.sourceIds.length > 0) {
-                    const newPages = data.pages.filter(p => p.sourceMessages.length === 0);
-                    for (const p of newPages) {
-                        p.sourceMessages = batch.sourceIds;
-                    }
                     data.processing.lastExtractedMessageId = batch.lastIdx;
                 }
 
+                checkpoint.successBatches++;
+                failStreakStart = -1;
+                log(`Batch ${ci + 1}/${total} done. Pages: ${data.pages.length}`);
+
+            } catch (err) {
+                if (signal.aborted) {
+                    return 'cancel';
+                }
+                warn(`Batch ${ci + 1} failed:`, err);
+                toastr?.warning?.(`第 ${ci + 1} 批处理失败: ${err.message}`, 'Memory Manager');
+
+                // A dead API fails every batch: stop and resume from the first failed one later
+                if (failStreakStart === -1) failStreakStart = ci;
+                if (ci - failStreakStart + 1 >= INIT_MAX_CONSECUTIVE_FAILURES) {
+                    checkpoint.nextBatch = failStreakStart;
+                    return 'failures';
+                }
+            }
+        }
+
+        checkpoint.nextBatch = ci + 1;
+        saveMemoryData();
+    }
+    return '';
+}
+
+/**
+ * Map-reduce initialization for long chats. The world book batch runs first; then up to
+ * `initParallelism` chat batches are extracted at once against that shared base state (map),
+ * and each result is merged as soon as every batch before it is merged (reduce, in chat order).
+ * Only merged batches are checkpointed: a paused run re-extracts at most the small window
+ * of results that were waiting for an earlier batch.
+ * @returns {Promise<string>} '' when done, 'cancel' or 'failures' when paused
+ */
+async function runParallelInit(data, checkpoint, chat, signal, maxTokens) {
+    const total = checkpoint.batches.length;
+    const L = getLangPack();
+
+    const loreEnd = checkpoint.batches.filter(b => b.type === 'lore').length;
+    if (checkpoint.nextBatch < loreEnd) {
+        const stopReason = await runSequentialInit(data, checkpoint, chat, signal, maxTokens, loreEnd);
+        if (stopReason) return stopReason;
+    }
+    if (checkpoint.nextBatch >= total) return '';
+
+    // Map prompts see the state the chat batches start from, not each other's merged results
+    const base = structuredClone({ ...data, embeddings: {}, extractionJournal: [] });
+    const knownPageIds = new Set(base.pages.map(p => p.id));
+    const fragmentNote = L.time.fragment + (checkpoint.relativeDays ? L.time.relativeDays : '');
+    const workerCount = Math.min(Math.max(1, getSettings().initParallelism), total - checkpoint.nextBatch);
+    // Results may run this far ahead of the next batch to merge
+    const windowSize = workerCount * 2;
+    const progressText = () => `并行提取中 (${workerCount} 路)：已合并 ${checkpoint.nextBatch}/${total} 批...`;
+
+    const ready = new Map();    // batch index -> extraction result (null = empty batch), waiting to be merged
+    const retry = [];           // failed batches, fetched again before new ones
+    let nextToFetch = checkpoint.nextBatch;
+    let failStreak = 0;
+    let stopReason = '';
+    let merging = false;
+    let wakeWorkers = [];
+
+    const wake = () => {
+        const waiting = wakeWorkers;
+        wakeWorkers = [];
+        waiting.forEach(resolve => resolve());
+    };
+
+    // Reduce: merge in chat order so days, dossiers and items build up chronologically
+    const mergeReady = async () => {
+        if (merging) return;
+        merging = true;
+        try {
+            while (ready.has(checkpoint.nextBatch) && !stopReason) {
+                const ci = checkpoint.nextBatch;
+                const batch = checkpoint.batches[ci];
+                const result = ready.get(ci);
+                ready.delete(ci);
+
+                let newPageIds = [];
+                if (result) {
+                    if (checkpoint.relativeDays) shiftRelativeDays(result, getLastDayOrdinal(data) - 1);
+                    newPageIds = applyExtractionResult(data, result, { sourceIds: batch.sourceIds, source: 'init' });
+                    if (batch.type === 'chat' && batch.sourceIds.length > 0) {
+                        data.processing.lastExtractedMessageId = batch.lastIdx;
+                    }
+                    checkpoint.successBatches++;
+                }
+                // Advance before any await so an interrupted run never merges a batch twice
+                checkpoint.nextBatch = ci + 1;
                 saveMemoryData();
-                successBatches++;
-                log(`Batch ${ci + 1}/${totalBatches} done. Pages: ${data.pages.length}`);
+                updateInitProgressUI(checkpoint.nextBatch, total, progressText());
+                wake();
+
+                await dedupeNewPages(data, newPageIds, null);
+            }
+        } catch (err) {
+            // Stop the other workers too; the checkpoint resumes from the batch that failed to merge
+            stopReason = 'failures';
+            wake();
+            throw err;
+        } finally {
+            merging = false;
+        }
+    };
+
+    const worker = async () => {
+        while (!stopReason) {
+            if (signal.aborted) {
+                stopReason = 'cancel';
+                break;
+            }
+            let ci;
+            if (retry.length > 0) {
+                ci = retry.shift();
+            } else if (nextToFetch >= total) {
+                break;
+            } else if (nextToFetch - checkpoint.nextBatch >= windowSize) {
+                await new Promise(resolve => wakeWorkers.push(resolve));
+                continue;
+            } else {
+                ci = nextToFetch++;
+            }
 
+            const text = getInitBatchText(checkpoint.batches[ci], chat);
+            try {
+                ready.set(ci, text.trim()
+                    ? await requestExtractionResult(buildInitExtractionPrompt(base, text) + fragmentNote, maxTokens, knownPageIds, signal)
+                    : null);
+                failStreak = 0;
             } catch (err) {
+                if (signal.aborted) {
+                    stopReason = 'cancel';
+                    break;
+                }
                 warn(`Batch ${ci + 1} failed:`, err);
                 toastr?.warning?.(`第 ${ci + 1} 批处理失败: ${err.message}`, 'Memory Manager');
+                // A failed batch can't be skipped: later batches would be merged with a gap before them
+                if (++failStreak >= INIT_MAX_CONSECUTIVE_FAILURES) stopReason = 'failures';
+                else retry.push(ci);
+                continue;
             }
+            await mergeReady();
         }
+        // Let workers waiting on the window see the stop
+        wake();
+    };
 
-        // Auto-hide
-        if (s.autoHide && data.processing.lastExtractedMessageId >= 0) {
-            await hideProcessedMessages();
+    updateInitProgressUI(checkpoint.nextBatch, total, progressText());
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return stopReason || (checkpoint.nextBatch >= total ? '' : 'failures');
+}
+
+/**
+ * Highest day number in the timeline and pages (0 when empty). Day time model only.
+ */
+function getLastDayOrdinal(data) {
+    let last = 0;
+    for (const label of [...data.timeline.map(e => e.dayEnd || e.dayStart), ...data.pages.map(p => p.day)]) {
+        const span = timeSpan(label);
+        if (span) last = Math.max(last, span[1]);
+    }
+    return last;
+}
+
+/**
+ * Move chunk-relative day labels (D1 = the day the chunk starts on) onto the story's day count.
+ */
+function shiftRelativeDays(result, offset) {
+    if (offset <= 0) return;
+    const shift = (label) => String(label).replace(/D(\d+)/gi, (_, n) => `D${Number(n) + offset}`);
+    for (const key of ['newTimelineEntries', 'newPages', 'itemEvents', 'threadUpdates', 'relationshipEvents']) {
+        for (const entry of Array.isArray(result[key]) ? result[key] : []) {
+            if (entry?.day) entry.day = shift(entry.day);
         }
+    }
+}
 
-        updateInitProgressUI(totalBatches, totalBatches, '初始化完成！');
-        setMood('inlove', 8000);
-        toastr?.success?.(
-            `初始化完成！处理 ${successBatches}/${totalBatches} 批，提取 ${data.pages.length} 个故事页`,
-            'Memory Manager',
-            { timeOut: 8000 },
-        );
+/**
+ * Drop a paused initialization. Messages it never reached are skipped; automatic
+ * extraction continues with new messages.
+ */
+function onDiscardInitClick() {
+    const ctx = getContext();
+    const data = getMemoryData();
+    const checkpoint = data.processing.initCheckpoint;
+    if (!checkpoint || initializationInProgress) return;
+    const skipped = Math.max(0, (ctx.chat?.length || 0) - 1 - data.processing.lastExtractedMessageId);
+    if (!confirm(
+        `放弃未完成的初始化（已处理 ${checkpoint.nextBatch}/${checkpoint.batches.length} 批）？\n\n`
+        + `已提取的内容保留；尚未处理的 ${skipped} 条消息不会被提取，之后的新消息照常自动提取。`,
+    )) return;
+
+    data.processing.initCheckpoint = null;
+    if (ctx.chat?.length) data.processing.lastExtractedMessageId = ctx.chat.length - 1;
+    saveMemoryData();
+    updateStatusDisplay();
+    toastr?.info?.('已放弃初始化进度', 'Memory Manager');
+}
 
-    } catch (err) {
-        warn('Batch initialization error:', err);
-        setMood('sad', 6000);
-        toastr?.error?.('初始化过程出错: ' + err.message, 'Memory Manager');
-    } finally {
-        initializationInProgress = false;
-        data.processing.extractionInProgress = false;
-        saveMemoryData();
-        updateBrowserUI();
-        hideInitProgressUI();
-    }
+function onCancelInitClick() {
+    if (!initAbortController) return;
+    initAbortController.abort();
+    $('#mm_init_progress .mm-init-progress-text').text('正在取消...');
+    $('#mm_init_progress .mm-init-cancel').remove();
 }
 
 function updateInitProgressUI(current, total, text) {
@@ -3018,8 +7469,12 @@ function updateInitProgressUI(current, total, text) {
         <div class="mm-init-progress-bar-track">
             <div class="mm-init-progress-bar-fill" style="width:${pct}%"></div>
         </div>
-        <div class="mm-init-progress-pct">${pct}%</div>
+        <div class="mm-init-progress-footer">
+            <span class="mm-init-progress-pct">${pct}%</span>
+            ${initAbortController && !initAbortController.signal.aborted ? '<button class="mm-init-cancel">取消</button>' : ''}
+        </div>
     `;
+    container.querySelector('.mm-init-cancel')?.addEventListener('click', onCancelInitClick);
 }
 
 function hideInitProgressUI() {
@@ -3033,6 +7488,47 @@ function hideInitProgressUI() {
 //  Message Recall UI
 // ============================================================
 
+/**
+ * Short label for a page's source messages, e.g. "#12" or "#12-#15".
+ */
+function formatSourceRange(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return '';
+    const first = ids[0];
+    const last = ids[ids.length - 1];
+    return first === last ? `#${first}` : `#${first}-#${last}`;
+}
+
+/**
+ * Scroll #chat to a message and briefly highlight it.
+ */
+function jumpToMessage(messageId) {
+    const messageEl = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!messageEl) {
+        toastr?.warning?.(`消息 #${messageId} 未加载或已被删除`, 'Memory Manager');
+        return;
+    }
+    messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageEl.classList.remove('mm-jump-flash');
+    void messageEl.offsetWidth; // restart the animation
+    messageEl.classList.add('mm-jump-flash');
+    setTimeout(() => messageEl.classList.remove('mm-jump-flash'), 2000);
+}
+
+function buildJumpLinkHtml(page, className) {
+    const range = formatSourceRange(page.sourceMessages);
+    if (!range) return '';
+    return `<span class="${className} mm-jump-link" data-mesid="${page.sourceMessages[0]}" title="跳转到来源消息">&#8618; ${range}</span>`;
+}
+
+function bindJumpLinks(root) {
+    root.querySelectorAll('.mm-jump-link').forEach(el => {
+        el.addEventListener('click', (e) => {
+            e.stopPropagation();
+            jumpToMessage(Number(el.dataset.mesid));
+        });
+    });
+}
+
 function buildRecallDisplay(messageId) {
     const data = getMemoryData();
     const recalledIds = data.messageRecalls?.[messageId];
@@ -3078,11 +7574,13 @@ function buildRecallDisplay(messageId) {
                     ${page.significance === 'high' ? '!!' : '!'}
                 </span>
                 <span class="mem-recall-item-level">${levelLabel}</span>
+                ${buildJumpLinkHtml(page, 'mem-recall-item-jump')}
             </div>
             <div class="mem-recall-item-body">${escapeHtml(page.content)}</div>
         `;
         content.appendChild(item);
     }
+    bindJumpLinks(content);
 
     toggle.addEventListener('click', () => {
         content.classList.toggle('open');
@@ -3165,6 +7663,180 @@ function refreshSlotListUI() {
     });
 }
 
+// ============================================================
+//  Prompt Template Editor
+// ============================================================
+
+function refreshPromptTemplateEditor() {
+    const select = document.getElementById('mm_prompt_template_select');
+    if (!select) return;
+    if (select.options.length === 0) {
+        select.innerHTML = Object.entries(PROMPT_TEMPLATE_SPECS)
+            .map(([name, spec]) => `<option value="${name}">${escapeHtml(spec.label)}</option>`)
+            .join('');
+    }
+
+    const name = select.value;
+    const spec = PROMPT_TEMPLATE_SPECS[name];
+    const custom = getPromptTemplateOverride(name);
+    const problem = custom && getPromptOverrideProblem(name, custom);
+    // A stale override is still shown so it can be fixed and saved again
+    $('#mm_prompt_template_text').val(custom ? custom.text : getDefaultPromptTemplate(name));
+    const tag = (k) => (spec.lists?.includes(k) ? `{{#each ${k}}}` : `{{${k}}}`);
+    $('#mm_prompt_template_placeholders').html([
+        ...spec.required.map(k => `<code class="mm-placeholder mm-placeholder-required" title="必需">${tag(k)}</code>`),
+        ...spec.optional.map(k => `<code class="mm-placeholder" title="可选">${tag(k)}</code>`),
+    ].join(' '));
+    $('#mm_prompt_template_status').text(!custom ? '当前: 默认模板'
+        : problem ? `当前: 自定义模板未生效（${problem}），正在使用默认模板` : '当前: 自定义模板');
+    refreshPromptTemplatePreview();
+}
+
+/**
+ * Live preview for the injection templates, rendered from the editor text (unsaved) and the
+ * current chat's data. Flashback/dossier use the last recall, or the newest pages / NPCs as samples.
+ */
+const PROMPT_TEMPLATE_PREVIEWS = {
+    storyIndex: (text, data) => formatStoryIndex(data, text),
+    flashback: (text, data) => formatFlashback(
+        lastRecalledPages.length > 0 ? lastRecalledPages : data.pages.filter(isRetrievablePage).slice(-2), text),
+    dossier: (text, data) => (lastRecalledChars.length > 0 ? lastRecalledChars : data.characters.filter(c => !c.retired).slice(0, 2))
+        .map(c => formatDossier(c, text)).join('\n\n'),
+};
+
+let promptPreviewTimer = null;
+
+async function refreshPromptTemplatePreview() {
+    const name = $('#mm_prompt_template_select').val();
+    const preview = PROMPT_TEMPLATE_PREVIEWS[name];
+    $('#mm_prompt_template_preview_block').toggle(!!preview);
+    if (!preview) return;
+
+    const text = String($('#mm_prompt_template_text').val() || '');
+    const { error } = parseTemplate(text);
+    if (error) {
+        $('#mm_prompt_template_preview').text(`模板语法错误: ${error}`);
+        $('#mm_prompt_template_preview_tokens').text('');
+        return;
+    }
+    const rendered = preview(text, getMemoryData());
+    $('#mm_prompt_template_preview').text(rendered || '（当前聊天没有可预览的数据）');
+    $('#mm_prompt_template_preview_tokens').text(rendered ? `约 ${await countTokens(rendered)} tokens` : '');
+}
+
+function onPromptTemplateInput() {
+    clearTimeout(promptPreviewTimer);
+    promptPreviewTimer = setTimeout(refreshPromptTemplatePreview, 300);
+}
+
+function onSavePromptTemplateClick() {
+    const name = $('#mm_prompt_template_select').val();
+    const text = String($('#mm_prompt_template_text').val() || '');
+    const { missing, unknown, error } = validatePromptTemplate(name, text);
+    if (error) {
+        toastr?.error?.(`模板语法错误: ${error}`, 'Memory Manager');
+        return;
+    }
+    if (missing.length > 0) {
+        toastr?.error?.(`缺少必需占位符: ${missing.map(k => `{{${k}}}`).join(' ')}`, 'Memory Manager');
+        return;
+    }
+    if (unknown.length > 0) {
+        toastr?.warning?.(`未知占位符将原样保留: ${unknown.map(k => `{{${k}}}`).join(' ')}`, 'Memory Manager');
+    }
+
+    const templates = { ...getLanguagePromptTemplates() };
+    if (text === getDefaultPromptTemplate(name)) {
+        delete templates[name];
+    } else {
+        templates[name] = { text, version: PROMPT_TEMPLATE_SPECS[name].version };
+    }
+    saveLanguagePromptTemplates(templates);
+    refreshPromptTemplateEditor();
+    toastr?.success?.(`模板「${PROMPT_TEMPLATE_SPECS[name].label}」已保存`, 'Memory Manager');
+}
+
+function onResetPromptTemplateClick() {
+    const name = $('#mm_prompt_template_select').val();
+    if (!confirm(`将模板「${PROMPT_TEMPLATE_SPECS[name].label}」恢复为默认？`)) return;
+    const templates = { ...getLanguagePromptTemplates() };
+    delete templates[name];
+    saveLanguagePromptTemplates(templates);
+    refreshPromptTemplateEditor();
+}
+
+/**
+ * Export the customized templates as a pack that can be shared and re-imported.
+ */
+function onExportPromptPackClick() {
+    const templates = getLanguagePromptTemplates();
+    if (Object.keys(templates).length === 0) {
+        toastr?.info?.('当前语言没有自定义模板可导出', 'Memory Manager');
+        return;
+    }
+    const pack = { type: PROMPT_PACK_TYPE, version: PROMPT_PACK_VERSION, language: getPromptLanguage(), templates };
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `memory-manager-prompts-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Import a template pack. Each template is validated on its own;
+ * invalid ones are skipped and reported, valid ones replace the current override.
+ */
+function onImportPromptPackClick() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+            const pack = JSON.parse(await file.text());
+            if (pack?.type !== PROMPT_PACK_TYPE || typeof pack.templates !== 'object') {
+                throw new Error('不是模板包文件');
+            }
+
+            // Packs without a language (version 1) go to the current one
+            const language = DEFAULT_PROMPT_TEMPLATES[pack.language] ? pack.language : getPromptLanguage();
+            const templates = { ...getSettings().promptTemplates?.[language] };
+            const imported = [];
+            const skipped = [];
+            for (const [name, value] of Object.entries(pack.templates)) {
+                // Version 1 packs hold plain text
+                const override = typeof value === 'string' ? { text: value, version: 1 } : value;
+                if (!PROMPT_TEMPLATE_SPECS[name] || typeof override?.text !== 'string') {
+                    skipped.push(name);
+                    continue;
+                }
+                const problem = getPromptOverrideProblem(name, override);
+                if (problem) {
+                    skipped.push(`${name} (${problem})`);
+                    continue;
+                }
+                templates[name] = { text: override.text, version: override.version };
+                imported.push(PROMPT_TEMPLATE_SPECS[name].label);
+            }
+
+            saveLanguagePromptTemplates(templates, language);
+            refreshPromptTemplateEditor();
+            if (imported.length > 0) {
+                toastr?.success?.(`已导入模板（${language}）: ${imported.join('、')}`, 'Memory Manager');
+            }
+            if (skipped.length > 0) {
+                toastr?.warning?.(`已跳过: ${skipped.join('；')}`, 'Memory Manager');
+            }
+        } catch (err) {
+            toastr?.error?.('模板包导入失败: ' + err.message, 'Memory Manager');
+        }
+    });
+    input.click();
+}
+
 // ============================================================
 //  Memory Browser UI (Settings Panel)
 // ============================================================
@@ -3175,19 +7847,37 @@ function updateBrowserUI() {
     // Timeline
     const timelineEl = document.getElementById('mm_bible_timeline');
     if (timelineEl) {
-        timelineEl.textContent = data.timeline || '（尚无数据）';
+        if (data.timeline.length === 0) {
+            timelineEl.innerHTML = '<span class="mm-empty-state">（尚无数据）</span>';
+        } else {
+            timelineEl.innerHTML = data.timeline.map(renderTimelineRow).join('');
+            bindTimelineRows(timelineEl);
+        }
     }
 
+    // World state form
+    const ws = data.worldState;
+    $('#mm_ws_location').val(ws.location || '');
+    $('#mm_ws_time_of_day').val(ws.timeOfDay || '');
+    $('#mm_ws_weather').val(ws.weather || '');
+    $('#mm_ws_present').val((ws.present || []).join('、'));
+    $('#mm_ws_conditions').val((ws.conditions || []).join('\n'));
+    $('#mm_ws_updated').text(ws.updatedAt ? `${ws.day ? `${ws.day} · ` : ''}${new Date(ws.updatedAt).toLocaleString()}` : '');
+
     // Known Character Attitudes
     const knownCharsEl = document.getElementById('mm_bible_known_chars');
     if (knownCharsEl) {
         if (!data.knownCharacterAttitudes || data.knownCharacterAttitudes.length === 0) {
             knownCharsEl.innerHTML = '<span class="mm-empty-state">暂无已知角色数据</span>';
         } else {
-            knownCharsEl.innerHTML = data.knownCharacterAttitudes.map(c => {
-                const tip = c.attitude || '(无态度数据)';
-                return `<span class="mm-tag" title="${escapeHtml(tip)}">${escapeHtml(c.name)}</span>`;
-            }).join('');
+            knownCharsEl.innerHTML = data.knownCharacterAttitudes.map(c => `
+                <details class="mm-npc-card">
+                    <summary>
+                        <span class="mm-npc-name">${escapeHtml(c.name)}</span>
+                        <span class="mm-npc-aliases">${escapeHtml(c.attitude || '(无态度数据)')}</span>
+                    </summary>
+                    ${renderAttitudeTrajectory(c.attitudeHistory) || '<div class="mm-empty-state">暂无态度变化记录</div>'}
+                </details>`).join('');
         }
     }
 
@@ -3197,11 +7887,28 @@ function updateBrowserUI() {
         if (data.characters.length === 0) {
             charsEl.innerHTML = '<span class="mm-empty-state">暂无NPC数据</span>';
         } else {
-            charsEl.innerHTML = data.characters.map(c => {
-                const tip = [c.appearance, c.personality, c.attitude].filter(Boolean).join(' | ');
-                return `<span class="mm-tag" title="${escapeHtml(tip)}">${escapeHtml(c.name)}</span>`;
-            }).join('');
+            charsEl.innerHTML = data.characters.map(renderNpcCard).join('');
+            charsEl.querySelectorAll('.mm-npc-retire').forEach(btn => {
+                btn.addEventListener('click', () => onToggleRetireCharacter(btn.dataset.name));
+            });
+        }
+    }
+
+    // Relationship graph
+    const graphEl = document.getElementById('mm_relationship_graph');
+    if (graphEl) {
+        if (data.relationships.length === 0) {
+            graphEl.innerHTML = '<span class="mm-empty-state">暂无关系数据</span>';
+        } else {
+            graphEl.innerHTML = renderRelationshipGraph(data.relationships);
+            graphEl.querySelectorAll('.mm-rel-edge').forEach(edge => {
+                edge.addEventListener('click', () => {
+                    selectedRelationshipId = selectedRelationshipId === edge.dataset.id ? null : edge.dataset.id;
+                    updateBrowserUI();
+                });
+            });
         }
+        renderRelationshipDetail(data);
     }
 
     // Items
@@ -3210,9 +7917,26 @@ function updateBrowserUI() {
         if (data.items.length === 0) {
             itemsEl.innerHTML = '<span class="mm-empty-state">暂无物品数据</span>';
         } else {
-            itemsEl.innerHTML = data.items.map(item =>
-                `<span class="mm-tag" title="${escapeHtml(item.status || '')} | ${escapeHtml(item.significance || '')}">${escapeHtml(item.name)}</span>`
-            ).join('');
+            itemsEl.innerHTML = data.items.map(item => {
+                const history = (item.history || [])
+                    .map(h => `${h.day || '?'}: ${h.status}${h.holder ? ` (${h.holder})` : ''}`)
+                    .join('\n');
+                const tip = [`${item.status || ''} | ${item.significance || ''}`, history].filter(Boolean).join('\n');
+                return `<span class="mm-tag" title="${escapeHtml(tip)}">${escapeHtml(item.name)}</span>`;
+            }).join('');
+        }
+    }
+
+    // Open threads (open first, then closed, newest first within each)
+    const threadsEl = document.getElementById('mm_bible_threads');
+    if (threadsEl) {
+        if (data.threads.length === 0) {
+            threadsEl.innerHTML = '<span class="mm-empty-state">暂无线索</span>';
+        } else {
+            const sorted = [...data.threads].sort((a, b) =>
+                (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1) || b.updatedAt - a.updatedAt);
+            threadsEl.innerHTML = sorted.map(renderThreadRow).join('');
+            bindThreadRows(threadsEl);
         }
     }
 
@@ -3232,16 +7956,13 @@ function updateBrowserUI() {
         compressedCountEl.textContent = data.pages.filter(p => p.compressionLevel === COMPRESS_SUMMARY).length;
     }
 
+    renderPendingMerges(data);
+
     // Page list
     const listEl = document.getElementById('mm_page_list');
     if (listEl) {
-        const allPages = data.pages.sort((a, b) => {
-            // Sort by day then by creation time
-            const dayA = parseInt(a.day?.replace(/\D/g, '') || '0');
-            const dayB = parseInt(b.day?.replace(/\D/g, '') || '0');
-            if (dayA !== dayB) return dayA - dayB;
-            return a.createdAt - b.createdAt;
-        });
+        // Sort by story time (ranges by start, then end), then by creation time
+        const allPages = data.pages.sort((a, b) => compareTimeLabels(a.day, b.day) || (a.createdAt - b.createdAt));
 
         if (allPages.length === 0) {
             listEl.innerHTML = '<div class="mm-empty-state">暂无故事页</div>';
@@ -3249,8 +7970,11 @@ function updateBrowserUI() {
             listEl.innerHTML = allPages.map(p => {
                 const levelClass = p.compressionLevel === COMPRESS_FRESH ? 'mm-level-fresh' : 'mm-level-compressed';
                 const levelLabel = p.compressionLevel === COMPRESS_FRESH ? '详细' : '摘要';
+                const revisionTip = (p.revisions || []).slice().reverse()
+                    .map(rev => `${new Date(rev.at).toLocaleString()}${rev.reason ? ` (${rev.reason})` : ''}\n${rev.content}`)
+                    .join('\n\n');
                 return `
-                <div class="mm-memory-card ${levelClass}" data-id="${p.id}">
+                <div class="mm-memory-card ${levelClass}${p.superseded ? ' mm-page-superseded' : ''}" data-id="${p.id}">
                     <div class="mm-memory-card-header">
                         <span class="mm-memory-card-day">${escapeHtml(p.day)}</span>
                         <span class="mm-memory-card-title">${escapeHtml(p.title)}</span>
@@ -3258,6 +7982,8 @@ function updateBrowserUI() {
                             ${p.significance === 'high' ? '!!' : '!'}
                         </span>
                         <span class="mm-memory-card-level ${levelClass}">${levelLabel}</span>
+                        ${p.superseded ? '<span class="mm-memory-card-badge">已被取代</span>' : ''}
+                        ${p.revisions?.length > 0 ? `<span class="mm-memory-card-badge" title="${escapeHtml(revisionTip)}">修订 ${p.revisions.length}</span>` : ''}
                     </div>
                     <div class="mm-memory-card-tags">
                         ${(p.categories || []).map(c => {
@@ -3269,6 +7995,7 @@ function updateBrowserUI() {
                     </div>
                     <div class="mm-memory-card-body">${escapeHtml(p.content)}</div>
                     <div class="mm-memory-card-actions">
+                        ${p.sourceMessages?.length > 0 ? `<button class="mm-btn-jump" data-mesid="${p.sourceMessages[0]}" title="来源消息 ${formatSourceRange(p.sourceMessages)}">跳转</button>` : ''}
                         <button class="mm-btn-edit" data-id="${p.id}">编辑</button>
                         <button class="mm-btn-danger mm-btn-delete" data-id="${p.id}">删除</button>
                     </div>
@@ -3281,6 +8008,9 @@ function updateBrowserUI() {
             listEl.querySelectorAll('.mm-btn-edit').forEach(btn => {
                 btn.addEventListener('click', () => onEditPage(btn.dataset.id));
             });
+            listEl.querySelectorAll('.mm-btn-jump').forEach(btn => {
+                btn.addEventListener('click', () => jumpToMessage(Number(btn.dataset.mesid)));
+            });
         }
     }
 
@@ -3295,6 +8025,230 @@ function updateBrowserUI() {
     updateStatusDisplay();
 }
 
+/**
+ * Review list for possible duplicate pages (pageDedupeMode 'ask').
+ */
+function renderPendingMerges(data) {
+    const el = document.getElementById('mm_pending_merges');
+    if (!el) return;
+    const pairs = getLivePendingMerges(data);
+    el.style.display = pairs.length > 0 ? '' : 'none';
+    if (pairs.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+
+    const pageById = new Map(data.pages.map(p => [p.id, p]));
+    // Approved pairs whose merge job gave up can be approved again
+    const mergeQueued = data.processing.jobs.some(j => j.type === 'merge');
+    el.innerHTML = '<div><b>可能重复的故事页</b></div>' + pairs.map(m => {
+        const page = pageById.get(m.pageId);
+        const target = pageById.get(m.targetId);
+        return `
+        <div class="mm-merge-row" data-page="${m.pageId}" data-target="${m.targetId}">
+            <span class="mm-merge-pair" title="${escapeHtml(`${page.content}\n\n— ${target.content}`)}">
+                「${escapeHtml(page.title)}」≈「${escapeHtml(target.title)}」(${escapeHtml(target.day)})
+            </span>
+            <small>${m.score.toFixed(2)}</small>
+            ${m.approved && mergeQueued
+                ? '<small>等待合并</small>'
+                : '<button class="mm-merge-accept">合并</button><button class="mm-merge-dismiss">保留两页</button>'}
+        </div>`;
+    }).join('');
+
+    const pairOf = (btn) => {
+        const row = btn.closest('.mm-merge-row');
+        return data.pendingMerges.find(m => m.pageId === row.dataset.page && m.targetId === row.dataset.target);
+    };
+    el.querySelectorAll('.mm-merge-accept').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const pair = pairOf(btn);
+            if (!pair) return;
+            pair.approved = true;
+            saveMemoryData();
+            renderPendingMerges(data);
+            enqueueJob('merge');
+        });
+    });
+    el.querySelectorAll('.mm-merge-dismiss').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const pair = pairOf(btn);
+            data.pendingMerges = data.pendingMerges.filter(m => m !== pair);
+            saveMemoryData();
+            renderPendingMerges(data);
+        });
+    });
+}
+
+/**
+ * Attitude trajectory (oldest first) for a known character or NPC card.
+ */
+function renderAttitudeTrajectory(history) {
+    if (!Array.isArray(history) || history.length === 0) return '';
+    const steps = history.map(h => `
+        <div class="mm-attitude-step">
+            <span class="mm-npc-history-when">${escapeHtml(h.day || '?')}</span>${escapeHtml(h.attitude)}
+        </div>`).join('');
+    return `<div class="mm-attitude-trajectory" title="态度变化轨迹">${steps}</div>`;
+}
+
+function renderNpcCard(c) {
+    const aliases = c.aliases?.length > 0 ? `<span class="mm-npc-aliases">(${escapeHtml(c.aliases.join(' / '))})</span>` : '';
+    const fields = NPC_FIELDS
+        .filter(f => c[f])
+        .map(f => `<div>${NPC_FIELD_LABELS[f]}: ${escapeHtml(c[f])}</div>`)
+        .join('');
+    const history = (c.changeLog || []).slice().reverse().map(entry => {
+        const when = entry.day || new Date(entry.at).toLocaleDateString();
+        const what = entry.created
+            ? '登场'
+            : Object.entries(entry.changes || {})
+                .map(([f, ch]) => `${NPC_FIELD_LABELS[f] || f}: ${ch.from || '∅'} → ${ch.to}`)
+                .join('；');
+        return `<div class="mm-npc-history-item"><span class="mm-npc-history-when">${escapeHtml(String(when))}</span> ${escapeHtml(what)}</div>`;
+    }).join('');
+
+    return `
+    <details class="mm-npc-card${c.retired ? ' mm-npc-retired' : ''}">
+        <summary>
+            <span class="mm-npc-name">${escapeHtml(c.name)}</span>
+            ${aliases}
+            ${c.retired ? '<span class="mm-npc-badge">已退场</span>' : ''}
+        </summary>
+        <div class="mm-npc-fields">${fields || '<span class="mm-empty-state">暂无档案</span>'}</div>
+        ${renderAttitudeTrajectory(c.attitudeHistory)}
+        ${history ? `<div class="mm-npc-history">${history}</div>` : ''}
+        <div class="mm-npc-actions">
+            <button class="mm-npc-retire" data-name="${escapeHtml(c.name)}">${c.retired ? '恢复登场' : '标记退场'}</button>
+        </div>
+    </details>`;
+}
+
+/**
+ * Retire / restore an NPC. Retired NPCs stay in the data (and recallable),
+ * but leave the story index NPC list and the extraction prompt.
+ */
+function onToggleRetireCharacter(name) {
+    const data = getMemoryData();
+    const c = findCharacterByName(data.characters, name);
+    if (!c) return;
+
+    c.retired = !c.retired;
+    if (!Array.isArray(c.changeLog)) c.changeLog = [];
+    c.changeLog.push({
+        at: Date.now(),
+        source: 'manual',
+        runId: null,
+        day: '',
+        created: false,
+        changes: { retired: { from: c.retired ? '否' : '是', to: c.retired ? '是' : '否' } },
+    });
+    saveMemoryData();
+    updateBrowserUI();
+}
+
+// Edge whose details are shown under the relationship graph
+let selectedRelationshipId = null;
+
+/**
+ * SVG graph of relationship edges: characters on a circle, one curved arrow per edge
+ * (A→B and B→A bend to opposite sides). Hovering an edge shows its history; clicking selects it.
+ */
+function renderRelationshipGraph(relationships) {
+    const size = REL_GRAPH_SIZE;
+    const center = size / 2;
+    const names = [...new Set(relationships.flatMap(rel => [rel.from, rel.to]))];
+    const radius = center - 40;
+    const pos = new Map(names.map((name, i) => {
+        const angle = (2 * Math.PI * i) / names.length - Math.PI / 2;
+        return [name, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) }];
+    }));
+    const round = (n) => Math.round(n * 10) / 10;
+
+    const edges = relationships.map(rel => {
+        const a = pos.get(rel.from);
+        const b = pos.get(rel.to);
+        const mx = (a.x + b.x) / 2;
+        const my = (a.y + b.y) / 2;
+        const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const cx = mx - ((b.y - a.y) / len) * 24;
+        const cy = my + ((b.x - a.x) / len) * 24;
+        const history = (rel.history || [])
+            .map(h => `${h.day || '?'}: ${h.type}${h.description ? ` — ${h.description}` : ''}`)
+            .join('\n');
+        const tip = [`${rel.from} → ${rel.to}: ${rel.type}`, rel.description, history, '(点击查看详情)'].filter(Boolean).join('\n');
+        return `
+        <g class="mm-rel-edge${rel.id === selectedRelationshipId ? ' mm-rel-selected' : ''}" data-id="${escapeHtml(rel.id)}">
+            <title>${escapeHtml(tip)}</title>
+            <path d="M${round(a.x)},${round(a.y)} Q${round(cx)},${round(cy)} ${round(b.x)},${round(b.y)}" marker-end="url(#mm-rel-arrow)" />
+            <text x="${round((mx + cx) / 2)}" y="${round((my + cy) / 2)}">${escapeHtml(rel.type)}</text>
+        </g>`;
+    }).join('');
+
+    const nodes = names.map(name => {
+        const p = pos.get(name);
+        return `
+        <g class="mm-rel-node">
+            <circle cx="${round(p.x)}" cy="${round(p.y)}" r="6" />
+            <text x="${round(p.x)}" y="${round(p.y + 18)}">${escapeHtml(name)}</text>
+        </g>`;
+    }).join('');
+
+    return `
+    <svg viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+            <marker id="mm-rel-arrow" viewBox="0 0 10 10" refX="18" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M0,0 L10,5 L0,10 z" />
+            </marker>
+        </defs>
+        ${edges}
+        ${nodes}
+    </svg>`;
+}
+
+/**
+ * Details of the selected edge: current type and description, change history and a delete button.
+ */
+function renderRelationshipDetail(data) {
+    const el = document.getElementById('mm_relationship_detail');
+    if (!el) return;
+    const rel = data.relationships.find(x => x.id === selectedRelationshipId);
+    el.style.display = rel ? '' : 'none';
+    if (!rel) {
+        el.innerHTML = '';
+        return;
+    }
+
+    const history = (rel.history || []).slice().reverse().map(h => `
+        <div class="mm-npc-history-item">
+            <span class="mm-npc-history-when">${escapeHtml(h.day || '?')}</span>${escapeHtml(h.type)}${h.description ? ` — ${escapeHtml(h.description)}` : ''}
+        </div>`).join('');
+    el.innerHTML = `
+        <div><b>${escapeHtml(rel.from)} → ${escapeHtml(rel.to)}</b>: ${escapeHtml(rel.type)}</div>
+        ${rel.description ? `<div>${escapeHtml(rel.description)}</div>` : ''}
+        ${history ? `<div class="mm-npc-history">${history}</div>` : ''}
+        <div class="mm-action-row">
+            <button class="mm-btn-danger mm-rel-delete">删除关系</button>
+            <button class="mm-rel-close">关闭</button>
+        </div>`;
+    el.querySelector('.mm-rel-delete').addEventListener('click', () => onDeleteRelationship(rel.id));
+    el.querySelector('.mm-rel-close').addEventListener('click', () => {
+        selectedRelationshipId = null;
+        updateBrowserUI();
+    });
+}
+
+function onDeleteRelationship(id) {
+    const data = getMemoryData();
+    const rel = data.relationships.find(x => x.id === id);
+    if (!rel) return;
+    if (!confirm(`确认删除关系「${rel.from} → ${rel.to}: ${rel.type}」？`)) return;
+    data.relationships = data.relationships.filter(x => x.id !== id);
+    if (selectedRelationshipId === id) selectedRelationshipId = null;
+    saveMemoryData();
+    updateBrowserUI();
+}
+
 function updateStatusDisplay() {
     const ctx = getContext();
     const data = getMemoryData();
@@ -3312,6 +8266,28 @@ function updateStatusDisplay() {
 
     const pendingEl = document.getElementById('mm_pending_count');
     if (pendingEl) pendingEl.textContent = pending;
+
+    const tokensEl = document.getElementById('mm_injection_tokens');
+    if (tokensEl) {
+        const usage = lastInjectionUsage;
+        tokensEl.textContent = !usage ? '—'
+            : `${usage.total}${usage.budget ? ` / ${usage.budget}` : ''}`
+            + (usage.trimmed.length > 0 ? `（已裁剪: ${usage.trimmed.map(k => INJECTION_SECTION_LABELS[k] || k).join('、')}）` : '');
+        tokensEl.title = usage
+            ? Object.entries(usage.tokens).map(([key, n]) => `${INJECTION_SECTION_LABELS[key] || key}: ${n}`).join('\n')
+            : '';
+    }
+
+    $('#mm_discard_init').toggle(!!data.processing.initCheckpoint && !initializationInProgress);
+
+    const queueEl = document.getElementById('mm_queue_status');
+    if (queueEl) {
+        queueEl.textContent = describeJobQueue(data);
+        queueEl.title = data.processing.jobs
+            .filter(j => j.lastError)
+            .map(j => `${JOB_LABELS[j.type] || j.type}: ${j.lastError}`)
+            .join('\n');
+    }
 }
 
 // ============================================================
@@ -3369,10 +8345,17 @@ async function onEditPage(id) {
         // Re-bind original buttons
         actionsEl.querySelector('.mm-btn-edit')?.addEventListener('click', () => onEditPage(id));
         actionsEl.querySelector('.mm-btn-delete')?.addEventListener('click', () => onDeletePage(id));
+        actionsEl.querySelector('.mm-btn-jump')?.addEventListener('click', (e) => jumpToMessage(Number(e.currentTarget.dataset.mesid)));
     };
 
     actionsEl.querySelector('.mm-btn-save').addEventListener('click', () => {
-        page.content = textarea.value;
+        if (textarea.value !== page.content) {
+            recordPageRevision(page, 'manual');
+            page.content = textarea.value;
+            page.updatedAt = Date.now();
+            delete data.embeddings[page.id];
+            embedPage(page);
+        }
         saveMemoryData();
         cleanup();
         bodyEl.textContent = page.content;
@@ -3382,49 +8365,131 @@ async function onEditPage(id) {
     textarea.focus();
 }
 
-async function onEditTimelineClick() {
-    const previewEl = document.getElementById('mm_bible_timeline');
-    const btnRow = document.getElementById('mm_timeline_btn_row');
-    if (!previewEl || !btnRow) return;
+function renderTimelineRow(entry) {
+    const pages = entry.pageIds?.length > 0
+        ? `<span class="mm-tl-pages" title="关联故事页">${entry.pageIds.length}页</span>`
+        : '';
+    return `
+    <div class="mm-tl-row${entry.locked ? ' mm-tl-locked' : ''}" data-id="${escapeHtml(entry.id)}">
+        <input type="text" class="mm-tl-day" value="${escapeHtml(formatEntryDay(entry))}" placeholder="${escapeHtml(getTimeModel().example)}" />
+        <input type="text" class="mm-tl-text" value="${escapeHtml(entry.text)}" />
+        ${pages}
+        <button class="mm-tl-lock" title="${entry.locked ? '已锁定：压缩时保留原文' : '锁定后压缩时不会被合并'}">${entry.locked ? '🔒' : '🔓'}</button>
+        <button class="mm-tl-delete mm-btn-danger" title="删除条目">✕</button>
+    </div>`;
+}
 
-    // Already in edit mode?
-    if (previewEl.dataset.editing === '1') return;
-    previewEl.dataset.editing = '1';
+/**
+ * Per-entry timeline editing: day/text save on change, lock toggles, delete removes the entry.
+ */
+function bindTimelineRows(root) {
+    const findEntry = (row) => getMemoryData().timeline.find(e => e.id === row.dataset.id);
+
+    root.querySelectorAll('.mm-tl-row').forEach(row => {
+        row.querySelector('.mm-tl-day').addEventListener('change', (e) => {
+            const entry = findEntry(row);
+            if (!entry) return;
+            Object.assign(entry, parseDayRange(e.target.value));
+            sortTimeline(getMemoryData());
+            saveMemoryData();
+            updateBrowserUI();
+        });
+        row.querySelector('.mm-tl-text').addEventListener('change', (e) => {
+            const entry = findEntry(row);
+            if (!entry) return;
+            entry.text = e.target.value.trim();
+            saveMemoryData();
+        });
+        row.querySelector('.mm-tl-lock').addEventListener('click', () => {
+            const entry = findEntry(row);
+            if (!entry) return;
+            entry.locked = !entry.locked;
+            saveMemoryData();
+            updateBrowserUI();
+        });
+        row.querySelector('.mm-tl-delete').addEventListener('click', () => {
+            const data = getMemoryData();
+            data.timeline = data.timeline.filter(e => e.id !== row.dataset.id);
+            saveMemoryData();
+            updateBrowserUI();
+        });
+    });
+}
 
+function onAddTimelineEntryClick() {
     const data = getMemoryData();
-    const current = data.timeline || '';
+    const last = data.timeline[data.timeline.length - 1];
+    const day = last?.dayEnd || last?.dayStart || getTimeModel().example;
+    // Unlocked: a placeholder left as is must not be kept through every compression
+    const entry = createTimelineEntry({ dayStart: day, text: '新条目' }, 'manual');
+    data.timeline.push(entry);
+    saveMemoryData();
+    updateBrowserUI();
 
-    // Replace preview with textarea
-    previewEl.style.display = 'none';
-    const textarea = document.createElement('textarea');
-    textarea.className = 'mm-edit-area';
-    textarea.style.minHeight = '160px';
-    textarea.value = current;
-    previewEl.parentNode.insertBefore(textarea, previewEl.nextSibling);
-
-    // Replace button row
-    btnRow.innerHTML = `
-        <button id="mm_save_timeline" style="color:#22c55e">保存</button>
-        <button id="mm_cancel_timeline">取消</button>
-    `;
+    const input = document.querySelector(`#mm_bible_timeline .mm-tl-row[data-id="${entry.id}"] .mm-tl-text`);
+    input?.focus();
+    input?.select();
+}
 
-    const cleanup = () => {
-        textarea.remove();
-        previewEl.style.display = '';
-        delete previewEl.dataset.editing;
-        btnRow.innerHTML = '<button id="mm_edit_timeline">编辑时间线</button>';
-        document.getElementById('mm_edit_timeline')?.addEventListener('click', onEditTimelineClick);
-    };
+function renderThreadRow(thread) {
+    const days = thread.dayClosed ? `${thread.dayOpened || '?'} → ${thread.dayClosed}` : (thread.dayOpened || '');
+    const pages = thread.pageIds?.length > 0
+        ? `<span class="mm-tl-pages" title="关联故事页">${thread.pageIds.length}页</span>`
+        : '';
+    const options = Object.entries(THREAD_STATUSES)
+        .map(([value, label]) => `<option value="${value}"${thread.status === value ? ' selected' : ''}>${label}</option>`)
+        .join('');
+    return `
+    <div class="mm-thread-row mm-thread-${escapeHtml(thread.status)}" data-id="${escapeHtml(thread.id)}" title="${escapeHtml(thread.note || '')}">
+        <span class="mm-thread-kind">${escapeHtml(THREAD_KINDS[thread.kind] || thread.kind)}</span>
+        <span class="mm-thread-title">${escapeHtml(thread.title)}</span>
+        <span class="mm-thread-days">${escapeHtml(days)}</span>
+        ${pages}
+        <select class="mm-thread-status">${options}</select>
+        <button class="mm-thread-delete mm-btn-danger" title="删除线索">✕</button>
+    </div>`;
+}
 
-    document.getElementById('mm_save_timeline').addEventListener('click', () => {
-        data.timeline = textarea.value;
-        saveMemoryData();
-        cleanup();
-        updateBrowserUI();
+/**
+ * Manual thread upkeep: change status (closing stamps the latest timeline day), delete.
+ */
+function bindThreadRows(root) {
+    root.querySelectorAll('.mm-thread-row').forEach(row => {
+        row.querySelector('.mm-thread-status').addEventListener('change', (e) => {
+            const data = getMemoryData();
+            const thread = data.threads.find(t => t.id === row.dataset.id);
+            if (!thread) return;
+            const last = data.timeline[data.timeline.length - 1];
+            thread.status = e.target.value;
+            thread.dayClosed = thread.status === 'open' ? '' : (thread.dayClosed || last?.dayEnd || last?.dayStart || '');
+            thread.updatedAt = Date.now();
+            saveMemoryData();
+            updateBrowserUI();
+        });
+        row.querySelector('.mm-thread-delete').addEventListener('click', () => {
+            const data = getMemoryData();
+            data.threads = data.threads.filter(t => t.id !== row.dataset.id);
+            saveMemoryData();
+            updateBrowserUI();
+        });
     });
+}
 
-    document.getElementById('mm_cancel_timeline').addEventListener('click', cleanup);
-    textarea.focus();
+/**
+ * Save the world state form. Manual values are overwritten by the next extraction that reports the field.
+ */
+function onWorldStateFieldChange() {
+    const ws = getMemoryData().worldState;
+    const splitList = (text, sep) => [...new Set(String(text).split(sep).map(v => v.trim()).filter(Boolean))];
+    ws.location = String($('#mm_ws_location').val()).trim();
+    ws.timeOfDay = String($('#mm_ws_time_of_day').val()).trim();
+    ws.weather = String($('#mm_ws_weather').val()).trim();
+    ws.present = splitList($('#mm_ws_present').val(), /[,，、]/);
+    ws.conditions = splitList($('#mm_ws_conditions').val(), /\n/);
+    ws.source = 'manual';
+    ws.updatedAt = Date.now();
+    saveMemoryData();
+    updateBrowserUI();
 }
 
 async function onResetClick() {
@@ -3432,11 +8497,12 @@ async function onResetClick() {
     if (!confirmed) return;
 
     const ctx = getContext();
+    abandonJobWaiters();
     ctx.chatMetadata.memoryManager = createDefaultData();
     saveMemoryData();
 
-    setExtensionPrompt(PROMPT_KEY_INDEX, '', extension_prompt_types.IN_CHAT, 0);
-    setExtensionPrompt(PROMPT_KEY_PAGES, '', extension_prompt_types.IN_CHAT, 0);
+    clearInjection();
+    lastInjectionUsage = null;
 
     updateBrowserUI();
     toastr?.success?.('记忆数据已重置', 'Memory Manager');
@@ -3464,7 +8530,7 @@ function onImportClick() {
         try {
             const text = await file.text();
             let imported = JSON.parse(text);
-            // Accept v1, v2, v3 and v4 formats
+            // Accept v1-v6 formats
             if (!imported.pages && !imported.storyBible && !imported.memories) {
                 throw new Error('Invalid format');
             }
@@ -3479,6 +8545,13 @@ function onImportClick() {
             if (imported.version === 3) {
                 imported = migrateV3toV4(imported);
             }
+            if (imported.version === 4) {
+                imported = migrateV4toV5(imported);
+            }
+            if (imported.version === 5) {
+                imported = migrateV5toV6(imported);
+            }
+            abandonJobWaiters();
             ctx.chatMetadata.memoryManager = imported;
             saveMemoryData();
             updateBrowserUI();
@@ -3512,19 +8585,36 @@ async function onChatEvent(messageId) {
     setTimeout(() => safeExtract(false), 500);
 }
 
+/**
+ * MESSAGE_DELETED / MESSAGE_UPDATED / MESSAGE_SWIPED: undo extractions built on
+ * messages that changed, then re-extract from lastExtractedMessageId.
+ */
+async function onMessageChanged(messageId) {
+    const s = getSettings();
+    if (!s.enabled) return;
+
+    if (s.rollbackOnMessageChange && reconcileExtractionJournal() > 0) {
+        setTimeout(() => safeExtract(true), 500);
+        return;
+    }
+    onChatEvent(messageId);
+}
+
 function onChatChanged() {
-    setExtensionPrompt(PROMPT_KEY_INDEX, '', extension_prompt_types.IN_CHAT, 0);
-    setExtensionPrompt(PROMPT_KEY_PAGES, '', extension_prompt_types.IN_CHAT, 0);
+    clearInjection();
     lastRecalledPages = [];
     lastRecalledChars = [];
-    consecutiveFailures = 0;
+    abandonJobWaiters();
+    initPausedWarned = false;
 
+    // Resume jobs persisted in this chat
     const data = getMemoryData();
-    data.processing.extractionInProgress = false;
+    clearLeftoverLock(data);
+    scheduleJobQueue(1000);
 
     // Cross-chat save loading: if new chat has no memory but character has a save
     const charName = getCurrentCharName();
-    if (charName && (!data.timeline && data.pages.length === 0)) {
+    if (charName && (data.timeline.length === 0 && data.pages.length === 0)) {
         const activeSlot = getActiveSlotName(charName);
         if (activeSlot) {
             toastr?.info?.(
@@ -3539,17 +8629,9 @@ function onChatChanged() {
     }
 
     // Re-inject story index for new chat
-    if (data.timeline || data.characters.length > 0) {
-        const s = getSettings();
-        setExtensionPrompt(
-            PROMPT_KEY_INDEX,
-            formatStoryIndex(data),
-            extension_prompt_types.IN_CHAT,
-            s.indexDepth,
-            false,
-            extension_prompt_roles.SYSTEM,
-        );
-    }
+    lastInjectionUsage = null;
+    injectStoryIndex(data);
+    refreshPromptTemplatePreview();
 
     updateBrowserUI();
 }
@@ -3582,8 +8664,8 @@ function registerSlashCommands() {
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'mm-extract',
             callback: async () => {
-                await safeExtract(true);
-                return '记忆提取完成';
+                const ok = await safeExtract(true);
+                return ok ? '记忆提取完成' : '记忆提取失败';
             },
             helpString: '强制执行记忆提取',
         }));
@@ -3622,8 +8704,8 @@ function registerSlashCommands() {
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'mm-compress',
             callback: async () => {
-                await safeCompress(true);
-                return '压缩完成';
+                const ok = await safeCompress(true);
+                return ok ? '压缩完成' : '压缩失败';
             },
             helpString: '强制执行记忆压缩',
         }));
@@ -3665,7 +8747,7 @@ jQuery(async function () {
     eventSource.makeLast(event_types.CHARACTER_MESSAGE_RENDERED, onChatEvent);
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onMessageRendered);
     for (const evt of [event_types.MESSAGE_DELETED, event_types.MESSAGE_UPDATED, event_types.MESSAGE_SWIPED]) {
-        eventSource.on(evt, onChatEvent);
+        eventSource.on(evt, onMessageChanged);
     }
 
     registerSlashCommands();